@@ -0,0 +1,445 @@
+import * as THREE from "three";
+import { REFERENCE_NORMAL } from "./rocket.js";
+
+// Stages of an automated ascent, in order
+export const ASCENT_PHASE = {
+  VERTICAL_CLIMB: "verticalClimb",
+  PITCH_OVER: "pitchOver",
+  GRAVITY_TURN: "gravityTurn",
+  COAST: "coast",
+  CIRCULARIZE: "circularize",
+  COMPLETE: "complete",
+  ABORTED: "aborted",
+};
+
+// Why an ascent was aborted, sent with the "ascentComplete" event
+export const ASCENT_ABORT_REASON = {
+  CRASHED: "crashed",
+  OUT_OF_FUEL: "outOfFuel",
+  DISENGAGED: "disengaged",
+  LANDED: "landed",
+  LEFT_BODY: "leftBody", // Passed into another body's sphere of influence
+  TIMED_OUT: "timedOut",
+};
+
+// The climb goes straight up this far above the pad, then tips over by this many
+// degrees toward the launch heading, and follows its velocity from there
+const DEFAULT_TURN_START_ALTITUDE = 0.05;
+const DEFAULT_PITCH_OVER_ANGLE = 10;
+
+// From the start of the turn the nose is also kept at or below a pitch that
+// falls from straight up to the horizon at this fraction of the target
+// altitude, so a strong engine does not hold the climb steep. The pitch-over
+// ends early once this program has come down past it.
+const TURN_END_FRACTION = 0.2;
+
+// The pitch-over is done once the flight path is within this many degrees
+// of the nose, or once the nose has held its attitude this many seconds. A
+// strong engine keeps the flight path steeper than the nose for a long time.
+const PITCH_OVER_TOLERANCE = 1;
+const PITCH_OVER_HOLD_TIME = 2;
+
+// Lowest apoapsis the autopilot aims for, above the top of the atmosphere
+const MIN_ORBIT_MARGIN = 0.1;
+
+// The gravity turn never points lower than this pitch (degrees) while still
+// climbing through the atmosphere
+const MIN_TURN_PITCH = 5;
+
+// The climb throttles down over the last this much apoapsis altitude short
+// of the target, holding the apoapsis there instead of cutting the engine
+// when it first gets there. The coast starts once the flight path is this
+// close (degrees) to the horizon or the rocket is out of the atmosphere.
+const APOAPSIS_THROTTLE_RANGE = 1;
+const COAST_FLIGHT_PATH_PITCH = 10;
+
+// The ascent is abandoned if it has not reached orbit after this long
+const MAX_ASCENT_TIME = 600;
+
+// The circularization burn ends once this little delta-v is left, and is
+// throttled down over its last this many seconds of full thrust
+const CIRCULARIZE_TOLERANCE = 0.001;
+const THROTTLE_DOWN_TIME = 1;
+
+// The engine only fires once the nose is this close (degrees) to the
+// direction of the burn
+const BURN_ALIGNMENT_ANGLE = 5;
+
+// An automated ascent from the pad to a circular orbit at targetAltitude
+// above the reference body, inclined by targetInclination (degrees) to the
+// reference plane. It flies a vertical climb, a pitch-over and a gravity
+// turn, throttling back to hold the apoapsis at the target while the flight
+// path flattens, coasts up to it, and burns to circularize there, staging as
+// the tanks run dry. It gives up if the rocket lands, leaves the body's
+// sphere of influence or takes too long. It flies the rocket by
+// setting its throttle and the direction SAS steers the nose to.
+export class AscentAutopilot {
+  constructor(options = {}) {
+    this.targetAltitude = options.targetAltitude || 3.5;
+    this.targetInclination = options.targetInclination || 0;
+    this.turnStartAltitude =
+      options.turnStartAltitude || DEFAULT_TURN_START_ALTITUDE;
+    this.pitchOverAngle = options.pitchOverAngle || DEFAULT_PITCH_OVER_ANGLE;
+
+    this.phase = null;
+    this.rocket = null; // The rocket being flown
+    this.body = null;
+    this.orbitNormal = null; // Normal of the plane of the target orbit
+    this.launchAltitude = 0;
+    this.deltaVSpent = 0;
+    this.startTime = 0;
+    this.pitchOverHeldTime = 0;
+    this.report = null;
+  }
+
+  isActive() {
+    return (
+      this.phase !== null &&
+      this.phase !== ASCENT_PHASE.COMPLETE &&
+      this.phase !== ASCENT_PHASE.ABORTED
+    );
+  }
+
+  // Take control of the rocket if it is still on its pad; returns whether
+  // it did. Targets below the top of the atmosphere are raised above it.
+  engage(rocket) {
+    const body = rocket.getReferenceBody();
+    if (!body || rocket.hasStarted || rocket.isCrashed()) return false;
+
+    this.rocket = rocket;
+    this.body = body;
+
+    if (this.body.hasAtmosphere) {
+      this.targetAltitude = Math.max(
+        this.targetAltitude,
+        this.body.atmosphereHeight + MIN_ORBIT_MARGIN
+      );
+    }
+    this.orbitNormal = this.getOrbitNormal(rocket);
+    this.launchAltitude = rocket.getAltitude();
+
+    this.phase = ASCENT_PHASE.VERTICAL_CLIMB;
+    this.deltaVSpent = 0;
+    this.startTime = rocket.missionTime;
+    this.pitchOverHeldTime = 0;
+    this.report = null;
+    rocket.sasEnabled = true;
+    return true;
+  }
+
+  // Hand control back to the pilot with the engine off
+  disengage() {
+    if (this.isActive()) {
+      this.finish(
+        this.rocket,
+        ASCENT_PHASE.ABORTED,
+        ASCENT_ABORT_REASON.DISENGAGED
+      );
+    }
+  }
+
+  // Normal of the plane through the launch site at the target inclination,
+  // flown into heading north of east. The heading comes from the launch
+  // site's latitude; a latitude above the target inclination gives the
+  // least inclined plane through the site. The push of the rotating ground
+  // is left out, so the orbit ends up a little off the target inclination.
+  getOrbitNormal(rocket) {
+    const up = rocket.position.clone().sub(this.body.position).normalize();
+    const latitude = Math.asin(
+      THREE.MathUtils.clamp(up.dot(REFERENCE_NORMAL), -1, 1)
+    );
+    const ratio =
+      Math.cos(this.targetInclination * (Math.PI / 180)) / Math.cos(latitude);
+    const heading = Math.acos(THREE.MathUtils.clamp(ratio, -1, 1));
+
+    let east = REFERENCE_NORMAL.clone().cross(up);
+    if (east.lengthSq() < 1e-12) east = new THREE.Vector3(1, 0, 0);
+    east.normalize();
+    const north = up.clone().cross(east);
+    const launchDirection = east
+      .multiplyScalar(Math.cos(heading))
+      .addScaledVector(north, Math.sin(heading));
+    return up.cross(launchDirection).normalize();
+  }
+
+  // Fly the rocket for the coming physics step of deltaTime. Called before
+  // the rocket is updated; the thrust of the step just flown counts toward
+  // the delta-v spent.
+  update(deltaTime) {
+    if (!this.isActive()) return;
+
+    const rocket = this.rocket;
+    if (rocket.thrustMagnitude > 0) {
+      this.deltaVSpent += (rocket.thrustMagnitude / rocket.mass) * deltaTime;
+    }
+
+    if (rocket.isCrashed()) {
+      this.finish(rocket, ASCENT_PHASE.ABORTED, ASCENT_ABORT_REASON.CRASHED);
+      return;
+    }
+
+    // The ascent is flown relative to the body it started from
+    let abortReason = null;
+    if (rocket.isLanded()) {
+      abortReason = ASCENT_ABORT_REASON.LANDED;
+    } else if (rocket.getReferenceBody() !== this.body) {
+      abortReason = ASCENT_ABORT_REASON.LEFT_BODY;
+    } else if (rocket.missionTime - this.startTime > MAX_ASCENT_TIME) {
+      abortReason = ASCENT_ABORT_REASON.TIMED_OUT;
+    }
+    if (abortReason) {
+      this.finish(rocket, ASCENT_PHASE.ABORTED, abortReason);
+      return;
+    }
+
+    // Drop a spent stage and carry on with the next
+    if (!rocket.canThrust()) {
+      if (rocket.stages.length > 1 && rocket.hasStarted) {
+        rocket.stage();
+      } else if (!rocket.hasFuel()) {
+        this.finish(
+          rocket,
+          ASCENT_PHASE.ABORTED,
+          ASCENT_ABORT_REASON.OUT_OF_FUEL
+        );
+        return;
+      }
+    }
+
+    const position = rocket.position.clone().sub(this.body.position);
+    const velocity = rocket.velocity.clone().sub(this.body.velocity);
+    const up = position.clone().normalize();
+    const altitude = position.length() - this.body.radius;
+    const elements = rocket.orbit ? rocket.orbit.elements : null;
+    const apoapsisAltitude = elements ? this.getApoapsisAltitude(elements) : 0;
+
+    switch (this.phase) {
+      case ASCENT_PHASE.VERTICAL_CLIMB:
+        rocket.setThrottle(this.getClimbThrottle(apoapsisAltitude));
+        this.steer(rocket, up);
+        if (altitude - this.launchAltitude >= this.turnStartAltitude) {
+          this.phase = ASCENT_PHASE.PITCH_OVER;
+        }
+        break;
+
+      case ASCENT_PHASE.PITCH_OVER: {
+        // Tip over, and hold there until the flight path has followed
+        const pitch = 90 - this.pitchOverAngle;
+        const direction = this.getHorizonDirection(up, pitch);
+        rocket.setThrottle(this.getClimbThrottle(apoapsisAltitude));
+        this.steer(rocket, direction);
+        if (this.isAligned(rocket, direction)) {
+          this.pitchOverHeldTime += deltaTime;
+        }
+        if (
+          this.getFlightPathPitch(rocket, up) <= pitch + PITCH_OVER_TOLERANCE ||
+          this.pitchOverHeldTime >= PITCH_OVER_HOLD_TIME ||
+          this.getTurnPitch(altitude) <= pitch ||
+          apoapsisAltitude >= this.targetAltitude
+        ) {
+          this.phase = ASCENT_PHASE.GRAVITY_TURN;
+        }
+        break;
+      }
+
+      case ASCENT_PHASE.GRAVITY_TURN: {
+        // Follow the velocity over the ground, which gravity bends toward
+        // the horizon, no higher than the turn's pitch program. Once the
+        // apoapsis is held at the target, the flight path flattens out
+        // while the engine keeps it there against drag.
+        const flightPathPitch = this.getFlightPathPitch(rocket, up);
+        const pitch = Math.max(
+          MIN_TURN_PITCH,
+          Math.min(flightPathPitch, this.getTurnPitch(altitude))
+        );
+        rocket.setThrottle(this.getClimbThrottle(apoapsisAltitude));
+        this.steer(rocket, this.getHorizonDirection(up, pitch));
+
+        if (
+          apoapsisAltitude >= this.targetAltitude &&
+          (flightPathPitch <= COAST_FLIGHT_PATH_PITCH || !rocket.inAtmosphere)
+        ) {
+          this.phase = ASCENT_PHASE.COAST;
+        }
+        break;
+      }
+
+      case ASCENT_PHASE.COAST: {
+        // Keep the apoapsis topped up against drag, and start the burn so
+        // that it is centered on the apoapsis
+        this.steer(rocket, velocity);
+        const apoapsisShort =
+          elements && this.getApoapsisAltitude(elements) < this.targetAltitude;
+        rocket.setThrottle(apoapsisShort && rocket.inAtmosphere ? 0.1 : 0);
+
+        if (
+          !rocket.inAtmosphere &&
+          (!elements ||
+            !elements.isClosed ||
+            elements.radialVelocity <= 0 ||
+            elements.timeToApoapsis <=
+              rocket.getBurnTime(this.getApoapsisDeltaV(elements)) / 2)
+        ) {
+          this.phase = ASCENT_PHASE.CIRCULARIZE;
+        }
+        break;
+      }
+
+      case ASCENT_PHASE.CIRCULARIZE: {
+        // Burn toward the velocity of a circular orbit through the rocket's
+        // position, easing off at the end. The orbit only counts once it
+        // clears the atmosphere all the way round.
+        const burn = this.getCircularizationVector(position, velocity);
+        const remaining = burn.length();
+        if (
+          remaining <= CIRCULARIZE_TOLERANCE &&
+          elements &&
+          elements.periapsis - this.body.radius > this.getAtmosphereTop()
+        ) {
+          this.finish(rocket, ASCENT_PHASE.COMPLETE);
+          return;
+        }
+
+        const maxAcceleration =
+          rocket.getActiveStage().engine.maxThrust / rocket.mass;
+        this.steer(rocket, burn);
+        rocket.setThrottle(
+          this.isAligned(rocket, burn)
+            ? remaining / (maxAcceleration * THROTTLE_DOWN_TIME)
+            : 0
+        );
+        break;
+      }
+    }
+  }
+
+  // Full throttle until the apoapsis comes within APOAPSIS_THROTTLE_RANGE of
+  // the target, then down to nothing at the target
+  getClimbThrottle(apoapsisAltitude) {
+    return THREE.MathUtils.clamp(
+      (this.targetAltitude - apoapsisAltitude) / APOAPSIS_THROTTLE_RANGE,
+      0,
+      1
+    );
+  }
+
+  // Highest pitch (degrees) of the turn at altitude
+  getTurnPitch(altitude) {
+    const turnStart = this.launchAltitude + this.turnStartAltitude;
+    const turnEnd = this.targetAltitude * TURN_END_FRACTION;
+    const fraction = THREE.MathUtils.clamp(
+      (altitude - turnStart) / (turnEnd - turnStart),
+      0,
+      1
+    );
+    return 90 * (1 - Math.sqrt(fraction));
+  }
+
+  steer(rocket, direction) {
+    rocket.steeringDirection = direction.clone().normalize();
+  }
+
+  // Whether the rocket's nose points within BURN_ALIGNMENT_ANGLE of direction
+  isAligned(rocket, direction) {
+    return (
+      rocket.thrustDirection.angleTo(direction) <=
+      BURN_ALIGNMENT_ANGLE * (Math.PI / 180)
+    );
+  }
+
+  // Direction pitched above the local horizon by pitch degrees, in the
+  // plane of the target orbit
+  getHorizonDirection(up, pitch) {
+    const pitchRadians = pitch * (Math.PI / 180);
+    return this.getDownrangeDirection(up)
+      .multiplyScalar(Math.cos(pitchRadians))
+      .addScaledVector(up, Math.sin(pitchRadians));
+  }
+
+  // The horizontal direction along the target orbit
+  getDownrangeDirection(up) {
+    return this.orbitNormal.clone().cross(up).normalize();
+  }
+
+  // Angle in degrees of the velocity over the ground above the horizon
+  getFlightPathPitch(rocket, up) {
+    const surfaceVelocity = rocket.velocity
+      .clone()
+      .sub(this.body.getSurfaceVelocity(rocket.position));
+    const speed = surfaceVelocity.length();
+    if (speed < 1e-9) return 90;
+
+    return (
+      Math.asin(THREE.MathUtils.clamp(surfaceVelocity.dot(up) / speed, -1, 1)) *
+      (180 / Math.PI)
+    );
+  }
+
+  getAtmosphereTop() {
+    return this.body.hasAtmosphere ? this.body.atmosphereHeight : 0;
+  }
+
+  getApoapsisAltitude(elements) {
+    return elements.isClosed ? elements.apoapsis - this.body.radius : Infinity;
+  }
+
+  // Delta-v to circularize at the apoapsis of a closed orbit, where the
+  // rocket moves horizontally, from the vis-viva equation
+  getApoapsisDeltaV(elements) {
+    const mu = this.body.mu;
+    const r = elements.apoapsis;
+    const speed = Math.sqrt(mu * (2 / r - 1 / elements.semiMajorAxis));
+    return Math.sqrt(mu / r) - speed;
+  }
+
+  // Velocity change to the circular orbit through the current position,
+  // in the plane of the target orbit
+  getCircularizationVector(position, velocity) {
+    const r = position.length();
+    const up = position.clone().divideScalar(r);
+    return this.getDownrangeDirection(up)
+      .multiplyScalar(Math.sqrt(this.body.mu / r))
+      .sub(velocity);
+  }
+
+  // End the ascent with the engine off and SAS holding steady, and report
+  // how it went
+  finish(rocket, phase, abortReason = null) {
+    this.phase = phase;
+    rocket.setThrottle(0);
+    rocket.steeringDirection = null;
+
+    const elements = rocket.orbit ? rocket.orbit.elements : null;
+    const apoapsisAltitude = elements
+      ? this.getApoapsisAltitude(elements)
+      : null;
+    const periapsisAltitude = elements
+      ? elements.periapsis - this.body.radius
+      : null;
+    const inclination = elements
+      ? elements.inclination * (180 / Math.PI)
+      : null;
+
+    this.report = {
+      completed: phase === ASCENT_PHASE.COMPLETE,
+      abortReason,
+      time: rocket.missionTime - this.startTime,
+      deltaVSpent: this.deltaVSpent,
+      targetAltitude: this.targetAltitude,
+      targetInclination: this.targetInclination,
+      apoapsisAltitude,
+      periapsisAltitude,
+      eccentricity: elements ? elements.eccentricity : null,
+      inclination,
+      // Orbit accuracy: how far the apsides and inclination ended up from
+      // the target
+      apoapsisError: elements ? apoapsisAltitude - this.targetAltitude : null,
+      periapsisError: elements ? periapsisAltitude - this.targetAltitude : null,
+      inclinationError: elements ? inclination - this.targetInclination : null,
+    };
+
+    window.dispatchEvent(
+      new CustomEvent("ascentComplete", { detail: this.report })
+    );
+  }
+}
@@ -0,0 +1,127 @@
+import { STANDARD_GRAVITY } from "./engine.js";
+import { getManeuverFrame, MANEUVER_DIRECTION } from "./orbitalMechanics.js";
+
+// What SAS holds: stability only stops the rocket turning; the others turn
+// the nose to a direction of the orbit around the reference body and keep
+// it there
+export const SAS_MODE = {
+  STABILITY: "stability",
+  PROGRADE: "prograde",
+  RETROGRADE: "retrograde",
+  NORMAL: "normal",
+  ANTI_NORMAL: "antiNormal",
+  RADIAL_OUT: "radialOut",
+  RADIAL_IN: "radialIn",
+  TARGET: "target",
+  ANTI_TARGET: "antiTarget",
+};
+
+// Each hold direction, as a direction of the orbit and a sign
+const SAS_DIRECTIONS = {
+  [SAS_MODE.PROGRADE]: [MANEUVER_DIRECTION.PROGRADE, 1],
+  [SAS_MODE.RETROGRADE]: [MANEUVER_DIRECTION.PROGRADE, -1],
+  [SAS_MODE.NORMAL]: [MANEUVER_DIRECTION.NORMAL, 1],
+  [SAS_MODE.ANTI_NORMAL]: [MANEUVER_DIRECTION.NORMAL, -1],
+  [SAS_MODE.RADIAL_OUT]: [MANEUVER_DIRECTION.RADIAL, 1],
+  [SAS_MODE.RADIAL_IN]: [MANEUVER_DIRECTION.RADIAL, -1],
+};
+
+// The target holds point toward or away from the targeted vessel
+const SAS_TARGET_SIGNS = {
+  [SAS_MODE.TARGET]: 1,
+  [SAS_MODE.ANTI_TARGET]: -1,
+};
+
+// Whether a mode points relative to the targeted vessel rather than the
+// orbit
+export function isTargetHold(mode) {
+  return mode in SAS_TARGET_SIGNS;
+}
+
+// The unit world direction a mode holds, for a position and velocity
+// relative to the reference body and the offset from the rocket to the
+// targeted vessel; null for stability, without a target for the target
+// holds, or without relative motion to define the orbit
+export function getSASDirection(
+  mode,
+  relativePosition,
+  relativeVelocity,
+  targetOffset = null
+) {
+  if (isTargetHold(mode)) {
+    if (!targetOffset || targetOffset.lengthSq() < 1e-12) return null;
+    return targetOffset
+      .clone()
+      .normalize()
+      .multiplyScalar(SAS_TARGET_SIGNS[mode]);
+  }
+
+  const hold = SAS_DIRECTIONS[mode];
+  if (!hold) return null;
+  if (
+    relativeVelocity.lengthSq() < 1e-12 ||
+    relativePosition.clone().cross(relativeVelocity).lengthSq() < 1e-12
+  ) {
+    return null;
+  }
+
+  const [direction, sign] = hold;
+  return getManeuverFrame(relativePosition, relativeVelocity)[
+    direction
+  ].multiplyScalar(sign);
+}
+
+// Reaction wheels in the command pod: electric, so they never run dry, but
+// their torque is small
+export class ReactionWheels {
+  constructor(options = {}) {
+    this.maxTorque = options.maxTorque || 0.004; // About each axis
+  }
+
+  getTorque() {
+    return this.maxTorque;
+  }
+}
+
+// Reaction control thrusters: pairs of small monopropellant jets at the
+// ends of the rocket. Their torque grows with the rocket's length, and they
+// only work while switched on with propellant in the tank.
+export class RCSThrusters {
+  constructor(options = {}) {
+    this.thrust = options.thrust || 0.04; // Of each firing pair
+    this.specificImpulse = options.specificImpulse || 30; // Seconds
+    this.maxMonopropellant = options.maxMonopropellant || 0.05;
+    this.monopropellant = this.maxMonopropellant;
+    this.enabled = false;
+  }
+
+  isAvailable() {
+    return this.enabled && this.monopropellant > 0;
+  }
+
+  // Torque about the center of mass from thrusters leverArm away from it
+  getTorque(leverArm) {
+    return this.isAvailable() ? this.thrust * leverArm : 0;
+  }
+
+  // Burn the monopropellant used by firing at the given fraction of full
+  // thrust (summed over the axes) for deltaTime
+  consume(firing, deltaTime) {
+    if (!this.isAvailable()) return;
+
+    const massFlowRate =
+      this.thrust / (this.specificImpulse * STANDARD_GRAVITY);
+    this.monopropellant = Math.max(
+      0,
+      this.monopropellant - massFlowRate * firing * deltaTime
+    );
+  }
+
+  getMonopropellantPercentage() {
+    return (this.monopropellant / this.maxMonopropellant) * 100;
+  }
+
+  refuel() {
+    this.monopropellant = this.maxMonopropellant;
+  }
+}
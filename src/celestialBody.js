@@ -1,4 +1,9 @@
 import * as THREE from "three";
+import { stateFromOrbitalElements } from "./orbitalMechanics.js";
+
+// Game gravitational constant, used to derive a body's gravitational
+// parameter from its mass when no explicit μ is given
+export const GRAVITATIONAL_CONSTANT = 0.3;
 
 export class CelestialBody {
   constructor(options = {}) {
@@ -6,13 +11,28 @@ export class CelestialBody {
     this.name = options.name || "Unnamed Body";
     this.radius = options.radius || 1.0;
     this.mass = options.mass || 1.0;
+    // Gravitational parameter (μ = G * M) in game units. All gravity, escape
+    // velocity and orbital velocity maths for this body uses this value.
+    this.mu =
+      options.mu !== undefined
+        ? options.mu
+        : GRAVITATIONAL_CONSTANT * this.mass;
     this.position = options.position || new THREE.Vector3(0, 0, 0);
+    this.velocity = options.velocity || new THREE.Vector3(0, 0, 0);
+    this.acceleration = new THREE.Vector3(0, 0, 0);
     this.color = options.color || 0x0077ff;
     this.hasAtmosphere =
       options.hasAtmosphere !== undefined ? options.hasAtmosphere : true;
     this.atmosphereColor = options.atmosphereColor || 0x4ca6ff;
     this.atmosphereThickness = options.atmosphereThickness || 0.025;
     this.atmosphereOpacity = options.atmosphereOpacity || 0.2;
+    // Physical atmosphere: density at the surface, falling off exponentially
+    // with altitude over the scale height, and nothing above the cutoff
+    // altitude (atmosphereHeight)
+    this.atmosphereDensity = options.atmosphereDensity || 1.0;
+    this.atmosphereScaleHeight = options.atmosphereScaleHeight || 1.0;
+    this.atmosphereHeight = options.atmosphereHeight || 3.0;
+    this.speedOfSound = options.speedOfSound || 0.3;
     this.surfaceDetail = options.surfaceDetail || 64;
     this.roughness = options.roughness || 0.7;
     this.metalness = options.metalness || 0.1;
@@ -22,6 +42,7 @@ export class CelestialBody {
     this.bumpMap = options.bumpMap || null;
     this.specularMap = options.specularMap || null;
     this.cloudsMap = options.cloudsMap || null;
+    this.surfaceMaskData = null; // Specular map pixels, read on first use
 
     // Rotation properties
     this.rotationSpeed = options.rotationSpeed || 0;
@@ -33,10 +54,26 @@ export class CelestialBody {
     // Orbital properties
     this.isOrbiting = options.isOrbiting || false;
     this.orbitTarget = options.orbitTarget || null;
-    this.orbitRadius = options.orbitRadius || 5.0;
+    // "kinematic" moves the body around a circle at a fixed orbitSpeed;
+    // "kepler" propagates the full orbital elements below under the orbit
+    // target's gravity
+    this.orbitMode = options.orbitMode || "kinematic";
+    this.semiMajorAxis = options.semiMajorAxis || options.orbitRadius || 5.0;
     this.orbitSpeed = options.orbitSpeed || 0.1;
     this.orbitAngle = options.orbitAngle || 0;
-    this.orbitTilt = options.orbitTilt || 0;
+    this.initialOrbitAngle = this.orbitAngle;
+
+    // Orbital elements for Kepler orbits (angles in degrees, like tilt)
+    this.eccentricity = options.eccentricity || 0;
+    this.inclination =
+      options.inclination !== undefined
+        ? options.inclination
+        : options.orbitTilt || 0;
+    this.argumentOfPeriapsis = options.argumentOfPeriapsis || 0;
+    this.longitudeOfAscendingNode = options.longitudeOfAscendingNode || 0;
+    this.meanAnomalyAtEpoch = options.meanAnomalyAtEpoch || 0;
+    this.initialMeanAnomalyAtEpoch = this.meanAnomalyAtEpoch;
+    this.timeSinceEpoch = 0;
     this.orbitClockwise =
       options.orbitClockwise !== undefined ? options.orbitClockwise : false;
     this.showOrbitPath =
@@ -44,9 +81,21 @@ export class CelestialBody {
     this.orbitPathColor = options.orbitPathColor || 0x444444;
     this.orbitPath = null;
 
+    // Derive the angular speed from gravity for Kepler orbits
+    if (this.orbitMode === "kepler" && this.orbitTarget) {
+      this.orbitSpeed = this.getMeanMotion();
+    }
+
+    // Sphere of influence (patched conics), derived from the orbit
+    this.updateSphereOfInfluence();
+
     // Create the mesh
     this.createMesh();
 
+    // Place orbiting bodies on their orbit
+    this.updateOrbitalState();
+    this.previousPosition = this.position.clone(); // Before the last update
+
     // Create orbit path if needed
     if (this.isOrbiting && this.showOrbitPath) {
       this.createOrbitPath();
@@ -136,23 +185,35 @@ export class CelestialBody {
   createOrbitPath() {
     if (!this.orbitTarget) return;
 
-    // Create a circle geometry for the orbit path
+    // Sample points around the orbit, relative to the orbit target
     const orbitGeometry = new THREE.BufferGeometry();
-    const orbitPoints = 64;
+    const orbitPoints = 128;
     const orbitVertices = new Float32Array(orbitPoints * 3);
 
-    // Calculate points around the orbit
     for (let i = 0; i < orbitPoints; i++) {
       const angle = (i / orbitPoints) * Math.PI * 2;
-      const x =
-        this.orbitTarget.position.x + Math.cos(angle) * this.orbitRadius;
-      const y =
-        this.orbitTarget.position.y + Math.sin(angle) * this.orbitRadius;
-      const z = this.orbitTarget.position.z;
-
-      orbitVertices[i * 3] = x;
-      orbitVertices[i * 3 + 1] = y;
-      orbitVertices[i * 3 + 2] = z;
+      let point;
+
+      if (this.orbitMode === "kepler") {
+        // Step evenly in eccentric anomaly so the ellipse is smooth at both
+        // apsides
+        const meanAnomaly = angle - this.eccentricity * Math.sin(angle);
+        point = stateFromOrbitalElements(
+          this.getOrbitalElements(meanAnomaly),
+          this.orbitTarget.mu
+        ).position;
+      } else {
+        point = new THREE.Vector3(
+          Math.cos(angle) * this.semiMajorAxis,
+          Math.sin(angle) * this.semiMajorAxis,
+          0
+        );
+      }
+
+      point.add(this.orbitTarget.position);
+      orbitVertices[i * 3] = point.x;
+      orbitVertices[i * 3 + 1] = point.y;
+      orbitVertices[i * 3 + 2] = point.z;
     }
 
     orbitGeometry.setAttribute(
@@ -194,27 +255,210 @@ export class CelestialBody {
     direction.normalize();
 
     // Calculate gravity magnitude using Newton's law of universal gravitation
-    // F = G * (m1 * m2) / r^2
-    // Using game-appropriate values instead of real-world values
-    const G = 0.3; // Game gravitational constant (was 6.6743e-11)
-
-    // Scale down the mass for game purposes
-    const scaledMass =
-      this.name === "Earth" ? 3 : this.name === "Moon" ? 0.5 : 1;
-
-    const forceMagnitude =
-      (G * scaledMass * objectMass) / (distance * distance);
-
-    // Add stronger gravity near the surface to make liftoff more challenging
-    let gravityMultiplier = 1.0;
-    const altitude = distance - this.radius;
-    if (altitude < 1.0) {
-      // Increase gravity strength near the surface
-      gravityMultiplier = 1.0 + (1.0 - altitude) * 0.5;
-    }
+    // F = G * (m1 * m2) / r^2 = μ * m2 / r^2
+    const forceMagnitude = (this.mu * objectMass) / (distance * distance);
 
     // Return the force vector
-    return direction.multiplyScalar(forceMagnitude * gravityMultiplier);
+    return direction.multiplyScalar(forceMagnitude);
+  }
+
+  // Escape velocity at a distance from this body's center
+  getEscapeVelocity(distance) {
+    return Math.sqrt((2 * this.mu) / distance);
+  }
+
+  // Circular orbit velocity at a distance from this body's center
+  getCircularVelocity(distance) {
+    return Math.sqrt(this.mu / distance);
+  }
+
+  // Recalculate the sphere of influence radius: r = a * (m / M)^(2/5), using
+  // the gravitational parameters for the mass ratio. Bodies that don't orbit
+  // anything dominate everywhere outside their children's spheres.
+  updateSphereOfInfluence() {
+    if (this.isOrbiting && this.orbitTarget) {
+      this.soiRadius =
+        this.semiMajorAxis * Math.pow(this.mu / this.orbitTarget.mu, 2 / 5);
+    } else {
+      this.soiRadius = Infinity;
+    }
+    return this.soiRadius;
+  }
+
+  // Closest this body comes to its orbit target
+  getPeriapsisDistance() {
+    const eccentricity = this.orbitMode === "kepler" ? this.eccentricity : 0;
+    return this.semiMajorAxis * (1 - eccentricity);
+  }
+
+  // Farthest this body goes from its orbit target
+  getApoapsisDistance() {
+    const eccentricity = this.orbitMode === "kepler" ? this.eccentricity : 0;
+    return this.semiMajorAxis * (1 + eccentricity);
+  }
+
+  // Fastest this body moves relative to its orbit target: at periapsis on
+  // a Kepler orbit, all the way round on a circular one
+  getMaxOrbitalSpeed() {
+    if (this.orbitMode !== "kepler") {
+      return Math.abs(this.orbitSpeed) * this.semiMajorAxis;
+    }
+    const eccentricity = this.eccentricity;
+    return Math.sqrt(
+      (this.orbitTarget.mu * (1 + eccentricity)) /
+        (this.semiMajorAxis * (1 - eccentricity))
+    );
+  }
+
+  // Check if a position lies inside this body's sphere of influence
+  isInSphereOfInfluence(position) {
+    return position.distanceTo(this.position) < this.soiRadius;
+  }
+
+  // Air density at a position; zero above the top of the atmosphere
+  getAtmosphericDensity(objectPosition) {
+    if (!this.hasAtmosphere) return 0;
+
+    const altitude = objectPosition.distanceTo(this.position) - this.radius;
+    if (altitude >= this.atmosphereHeight) return 0;
+
+    return (
+      this.atmosphereDensity *
+      Math.exp(-Math.max(0, altitude) / this.atmosphereScaleHeight)
+    );
+  }
+
+  // Air pressure at a position as a fraction of surface pressure. The
+  // atmosphere is isothermal, so pressure is proportional to density.
+  getAtmosphericPressure(objectPosition) {
+    if (!this.hasAtmosphere) return 0;
+    return this.getAtmosphericDensity(objectPosition) / this.atmosphereDensity;
+  }
+
+  isInAtmosphere(objectPosition) {
+    return (
+      this.hasAtmosphere &&
+      objectPosition.distanceTo(this.position) - this.radius <
+        this.atmosphereHeight
+    );
+  }
+
+  // Texture coordinates of the surface point below a position, in the
+  // mesh's own (rotating, tilted) frame, matching THREE.SphereGeometry's UVs
+  getSurfaceUV(objectPosition) {
+    this.mesh.updateMatrixWorld();
+    const direction = this.mesh
+      .worldToLocal(objectPosition.clone())
+      .normalize();
+
+    const theta = Math.acos(THREE.MathUtils.clamp(direction.y, -1, 1));
+    let phi = Math.atan2(direction.z, -direction.x);
+    if (phi < 0) phi += Math.PI * 2;
+
+    return { u: phi / (Math.PI * 2), v: 1 - theta / Math.PI };
+  }
+
+  // Latitude and longitude in degrees of the surface point below a position
+  getSurfaceCoordinates(objectPosition) {
+    const { u, v } = this.getSurfaceUV(objectPosition);
+    return { latitude: (v - 0.5) * 180, longitude: u * 360 - 180 };
+  }
+
+  // World position at a height above the surface point with the given
+  // latitude and longitude in degrees; the inverse of getSurfaceCoordinates
+  getSurfacePosition(latitude, longitude, height = 0) {
+    const theta = (90 - latitude) * (Math.PI / 180);
+    const phi = (longitude + 180) * (Math.PI / 180);
+    const direction = new THREE.Vector3(
+      -Math.cos(phi) * Math.sin(theta),
+      Math.cos(theta),
+      Math.sin(phi) * Math.sin(theta)
+    );
+
+    this.mesh.updateMatrixWorld();
+    return this.mesh.localToWorld(
+      direction.multiplyScalar(this.radius + height)
+    );
+  }
+
+  // Direction of the axis the body spins about: the mesh's own +Y, tilted
+  // with it
+  getSpinAxis() {
+    return new THREE.Vector3(0, 1, 0).applyQuaternion(this.mesh.quaternion);
+  }
+
+  // Velocity of the ground (and the air above it) at a position: the
+  // body's own velocity plus that of its spin, ω × r
+  getSurfaceVelocity(objectPosition) {
+    const offset = objectPosition.clone().sub(this.position);
+    return this.getSpinAxis()
+      .multiplyScalar(this.rotationSpeed)
+      .cross(offset)
+      .add(this.velocity);
+  }
+
+  // Whether the surface below a position is water. Oceans are the bright
+  // (shiny) parts of the specular map; without a loaded map there is none.
+  isWaterAt(objectPosition) {
+    const mask = this.getSurfaceMaskData();
+    if (!mask) return false;
+
+    const { u, v } = this.getSurfaceUV(objectPosition);
+    const x = Math.min(mask.width - 1, Math.floor(u * mask.width));
+    const y = Math.min(mask.height - 1, Math.floor((1 - v) * mask.height));
+    return mask.data[(y * mask.width + x) * 4] > 128;
+  }
+
+  // Read the specular map's pixels through a canvas, once it has loaded
+  getSurfaceMaskData() {
+    if (this.surfaceMaskData) return this.surfaceMaskData;
+
+    const image = this.specularMap ? this.specularMap.image : null;
+    if (!image || !image.width || typeof document === "undefined") {
+      return null;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext("2d");
+    if (!context) return null;
+
+    context.drawImage(image, 0, 0);
+    this.surfaceMaskData = context.getImageData(
+      0,
+      0,
+      image.width,
+      image.height
+    );
+    return this.surfaceMaskData;
+  }
+
+  // Sweep an object that moved from startPosition to endPosition during the
+  // last update against this body, which itself moved from previousPosition
+  // to position meanwhile. The test is done in the body's frame, where the
+  // path is a straight segment. Returns the fraction of the way along the
+  // path at which the object first touches the surface (radius plus
+  // objectRadius), or null if it doesn't. An object starting on or inside
+  // the surface only counts while moving inwards.
+  sweepCollision(startPosition, endPosition, objectRadius = 0) {
+    const start = startPosition.clone().sub(this.previousPosition);
+    const motion = endPosition.clone().sub(this.position).sub(start);
+    const radius = this.radius + objectRadius;
+
+    // |start + s * motion|² = radius², a quadratic in s
+    const a = motion.lengthSq();
+    const b = 2 * start.dot(motion);
+    const c = start.lengthSq() - radius * radius;
+
+    if (c <= 0) return b < 0 ? 0 : null;
+    if (a === 0) return null;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const fraction = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return fraction >= 0 && fraction <= 1 ? fraction : null;
   }
 
   // Check if an object at position has collided with this celestial body
@@ -229,6 +473,9 @@ export class CelestialBody {
 
   // Update method for any animations or movements
   update(deltaTime) {
+    // Kept so moving objects can be swept against the body's motion
+    this.previousPosition.copy(this.position);
+
     // Apply rotation if rotation speed is set
     if (this.rotationSpeed !== 0 && this.mesh) {
       this.mesh.rotation.y += this.rotationSpeed * deltaTime;
@@ -241,44 +488,194 @@ export class CelestialBody {
 
     // Update orbital position if this body is orbiting another body
     if (this.isOrbiting && this.orbitTarget) {
-      // Update orbit angle based on orbit speed
-      const direction = this.orbitClockwise ? -1 : 1;
-      this.orbitAngle += this.orbitSpeed * deltaTime * direction;
-
-      // Calculate new position based on orbit parameters
-      const x =
-        this.orbitTarget.position.x +
-        Math.cos(this.orbitAngle) * this.orbitRadius;
-      const y =
-        this.orbitTarget.position.y +
-        Math.sin(this.orbitAngle) * this.orbitRadius;
-      const z = this.orbitTarget.position.z;
-
-      // Update position
-      this.position.set(x, y, z);
-
-      // Update mesh position
-      if (this.mesh) {
-        this.mesh.position.copy(this.position);
+      if (this.orbitMode === "kepler") {
+        this.timeSinceEpoch += deltaTime;
+      } else {
+        // Update orbit angle based on orbit speed
+        const direction = this.orbitClockwise ? -1 : 1;
+        this.orbitAngle += this.orbitSpeed * deltaTime * direction;
       }
 
-      // Update atmosphere position
-      if (this.atmosphere) {
-        this.atmosphere.position.copy(this.position);
-      }
+      this.updateOrbitalState();
+    }
+  }
+
+  // Orbital elements in radians at a given mean anomaly (defaults to the
+  // current one). Clockwise orbits are the same ellipse flipped over.
+  getOrbitalElements(meanAnomaly = this.getMeanAnomaly()) {
+    const toRadians = Math.PI / 180;
+    const inclination = this.orbitClockwise
+      ? 180 - this.inclination
+      : this.inclination;
+
+    return {
+      semiMajorAxis: this.semiMajorAxis,
+      eccentricity: this.eccentricity,
+      inclination: inclination * toRadians,
+      longitudeOfAscendingNode: this.longitudeOfAscendingNode * toRadians,
+      argumentOfPeriapsis: this.argumentOfPeriapsis * toRadians,
+      meanAnomaly,
+    };
+  }
+
+  // Current mean anomaly (radians) of a Kepler orbit
+  getMeanAnomaly() {
+    return (
+      (this.meanAnomalyAtEpoch * Math.PI) / 180 +
+      this.getMeanMotion() * this.timeSinceEpoch
+    );
+  }
+
+  // Predicted position and velocity deltaTime seconds from now, on the
+  // same orbit as updateOrbitalState. Bodies that don't orbit stay put.
+  getStateAt(deltaTime) {
+    if (!this.isOrbiting || !this.orbitTarget) {
+      return {
+        position: this.position.clone(),
+        velocity: this.velocity.clone(),
+      };
+    }
+
+    const target = this.orbitTarget.getStateAt(deltaTime);
+
+    let state;
+    if (this.orbitMode === "kepler") {
+      state = stateFromOrbitalElements(
+        this.getOrbitalElements(
+          this.getMeanAnomaly() + this.getMeanMotion() * deltaTime
+        ),
+        this.orbitTarget.mu
+      );
+    } else {
+      const direction = this.orbitClockwise ? -1 : 1;
+      state = this.getCircularOrbitState(
+        this.orbitAngle + this.orbitSpeed * deltaTime * direction
+      );
+    }
+
+    return {
+      position: state.position.add(target.position),
+      velocity: state.velocity.add(target.velocity),
+    };
+  }
+
+  // Position and velocity relative to the orbit target at an angle round
+  // a circular orbit
+  getCircularOrbitState(angle) {
+    const direction = this.orbitClockwise ? -1 : 1;
+    const radius = this.semiMajorAxis;
+    const orbitalSpeed = this.orbitSpeed * radius * direction;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return {
+      position: new THREE.Vector3(cos * radius, sin * radius, 0),
+      velocity: new THREE.Vector3(-sin * orbitalSpeed, cos * orbitalSpeed, 0),
+    };
+  }
+
+  // Set position, velocity and acceleration from the current orbit state
+  updateOrbitalState() {
+    if (!this.isOrbiting || !this.orbitTarget) return;
+
+    const target = this.orbitTarget;
+
+    if (this.orbitMode === "kepler") {
+      const state = stateFromOrbitalElements(
+        this.getOrbitalElements(),
+        target.mu
+      );
+      this.position.copy(state.position).add(target.position);
+      this.velocity.copy(state.velocity).add(target.velocity);
+
+      // Acceleration is the target's gravity, -μ r / |r|³
+      const r = state.position.length();
+      this.acceleration
+        .copy(state.position)
+        .multiplyScalar(-target.mu / (r * r * r))
+        .add(target.acceleration);
+    } else {
+      // Position on the circle, and velocity along it (needed for relative
+      // motion)
+      const state = this.getCircularOrbitState(this.orbitAngle);
+      this.position.copy(state.position).add(target.position);
+      this.velocity.copy(state.velocity).add(target.velocity);
+
+      // Centripetal acceleration of the circular orbit
+      const angularSpeedSquared = this.orbitSpeed * this.orbitSpeed;
+      this.acceleration
+        .copy(state.position)
+        .multiplyScalar(-angularSpeedSquared)
+        .add(target.acceleration);
     }
+
+    // Update mesh position
+    if (this.mesh) {
+      this.mesh.position.copy(this.position);
+    }
+
+    // Update atmosphere position
+    if (this.atmosphere) {
+      this.atmosphere.position.copy(this.position);
+    }
+  }
+
+  // Move the body back to where its orbit started
+  resetOrbit() {
+    this.orbitAngle = this.initialOrbitAngle;
+    this.meanAnomalyAtEpoch = this.initialMeanAnomalyAtEpoch;
+    this.timeSinceEpoch = 0;
+    this.updateOrbitalState();
+  }
+
+  // Mean motion (rad/s) of a Kepler orbit around the orbit target
+  getMeanMotion() {
+    return Math.sqrt(this.orbitTarget.mu / Math.pow(this.semiMajorAxis, 3));
+  }
+
+  // Time for one full orbit, in seconds
+  getOrbitalPeriod() {
+    return (Math.PI * 2) / this.orbitSpeed;
   }
 
   // Update orbital parameters
   setOrbitParameters(params = {}) {
+    // Changing the orbit's size changes the mean motion, so restart the epoch
+    // at the current mean anomaly to keep the body where it is on its orbit
+    if (this.orbitMode === "kepler" && this.orbitTarget) {
+      this.meanAnomalyAtEpoch = (this.getMeanAnomaly() * 180) / Math.PI;
+      this.timeSinceEpoch = 0;
+    }
+
     // Update orbital properties if provided
-    if (params.orbitRadius !== undefined) this.orbitRadius = params.orbitRadius;
+    if (params.orbitRadius !== undefined)
+      this.semiMajorAxis = params.orbitRadius;
+    if (params.semiMajorAxis !== undefined)
+      this.semiMajorAxis = params.semiMajorAxis;
     if (params.orbitSpeed !== undefined) this.orbitSpeed = params.orbitSpeed;
     if (params.orbitAngle !== undefined) this.orbitAngle = params.orbitAngle;
-    if (params.orbitTilt !== undefined) this.orbitTilt = params.orbitTilt;
+    if (params.orbitTilt !== undefined) this.inclination = params.orbitTilt;
     if (params.orbitClockwise !== undefined)
       this.orbitClockwise = params.orbitClockwise;
 
+    // Orbital elements
+    if (params.eccentricity !== undefined)
+      this.eccentricity = params.eccentricity;
+    if (params.inclination !== undefined) this.inclination = params.inclination;
+    if (params.argumentOfPeriapsis !== undefined)
+      this.argumentOfPeriapsis = params.argumentOfPeriapsis;
+    if (params.longitudeOfAscendingNode !== undefined)
+      this.longitudeOfAscendingNode = params.longitudeOfAscendingNode;
+
+    // Kepler orbits can't have an independent speed; it follows from the
+    // semi-major axis and the target's gravity
+    if (this.orbitMode === "kepler" && this.orbitTarget) {
+      this.orbitSpeed = this.getMeanMotion();
+    }
+
+    this.updateSphereOfInfluence();
+    this.updateOrbitalState();
+
     // Update orbit path if it exists
     if (this.orbitPath && this.orbitTarget) {
       // Remove old orbit path from parent
@@ -296,3 +693,18 @@ export class CelestialBody {
     }
   }
 }
+
+// Find the body whose sphere of influence contains a position. When spheres
+// are nested, the innermost (smallest) one wins.
+export function findSphereOfInfluence(celestialBodies, position) {
+  let soiBody = null;
+
+  for (const body of celestialBodies) {
+    if (!body.isInSphereOfInfluence(position)) continue;
+    if (!soiBody || body.soiRadius < soiBody.soiRadius) {
+      soiBody = body;
+    }
+  }
+
+  return soiBody;
+}
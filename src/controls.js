@@ -14,19 +14,39 @@ window.addEventListener("keyup", (event) => {
   keys[event.code] = false;
 });
 
+// Input on one axis from a pair of keys: 1, -1, or 0 for neither or both
+function axisInput(positiveKey, negativeKey) {
+  return (keys[positiveKey] ? 1 : 0) - (keys[negativeKey] ? 1 : 0);
+}
+
 export function updateControls(rocket, deltaTime) {
-  const rotationSpeed = 1.5; // Radians per second (reduced for more precise control)
-  const thrustPower = 0.6; // Increased to 0.6 to compensate for stronger gravity
+  const throttleRate = 0.5; // Throttle change per second (full range in 2s)
+
+  // Rotation keys apply torque rather than turning the rocket directly.
+  // Pitch turns the nose left/right as seen at launch, yaw turns it out of
+  // the launch plane (towards or away from the camera), roll spins it about
+  // the nose.
+  rocket.setRotationInput(
+    axisInput("ArrowLeft", "ArrowRight"),
+    axisInput("KeyS", "KeyW"),
+    axisInput("KeyQ", "KeyE")
+  );
 
-  if (keys["ArrowLeft"]) {
-    console.log("Left arrow pressed, rotating clockwise");
-    rocket.rotate(rotationSpeed * deltaTime);
+  // Throttle: Shift/Ctrl raise and lower it, Z sets full and X cuts it
+  if (keys["ShiftLeft"] || keys["ShiftRight"]) {
+    rocket.setThrottle(rocket.throttle + throttleRate * deltaTime);
+  }
+  if (keys["ControlLeft"] || keys["ControlRight"]) {
+    rocket.setThrottle(rocket.throttle - throttleRate * deltaTime);
+  }
+  if (keys["KeyZ"]) {
+    rocket.setThrottle(1);
   }
-  if (keys["ArrowRight"]) {
-    console.log("Right arrow pressed, rotating counter-clockwise");
-    rocket.rotate(-rotationSpeed * deltaTime);
+  if (keys["KeyX"]) {
+    rocket.setThrottle(0);
   }
 
-  // Set thrust based on up arrow key
-  rocket.setThrustMagnitude(keys["ArrowUp"] ? thrustPower : 0);
+  // Holding the up arrow burns at full throttle without changing the set
+  // throttle
+  rocket.setThrottleOverride(keys["ArrowUp"] ? 1 : null);
 }
@@ -0,0 +1,180 @@
+import * as THREE from "three";
+import { velocityVerlet } from "./integrators.js";
+import {
+  classifyTrajectory,
+  computeOrbitalElements,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+import { findSphereOfInfluence } from "./celestialBody.js";
+
+// Debris further than this from the origin has left the system
+const MAX_DEBRIS_DISTANCE = 500;
+
+// A discarded stage, flying on its own under gravity until it hits a body
+// or leaves the system
+export class Debris {
+  constructor(options = {}) {
+    this.name = options.name || "Debris";
+    this.celestialBodies = options.celestialBodies || [];
+    this.mesh = options.mesh;
+    this.position = this.mesh.position;
+    this.position.copy(options.position);
+    this.velocity = options.velocity.clone();
+    this.collisionRadius = options.collisionRadius || 0.05;
+    this.isDestroyed = false;
+
+    // Patched conics, like the rocket: only the body whose sphere of
+    // influence the debris is in pulls on it
+    this.referenceBody = findSphereOfInfluence(
+      this.celestialBodies,
+      this.position
+    );
+
+    // Trail of recent positions
+    this.trailMaxPoints = 60;
+    this.trailPoints = [];
+    this.trailUpdateInterval = 0.2;
+    this.trailTimer = 0;
+    this.trail = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({
+        color: 0x888888,
+        transparent: true,
+        opacity: 0.4,
+      })
+    );
+  }
+
+  update(deltaTime) {
+    if (this.isDestroyed) return;
+
+    const body = this.referenceBody;
+    const previousPosition = this.position.clone();
+    const accelerationAt = (position) => {
+      const acceleration = new THREE.Vector3();
+      if (body) {
+        acceleration
+          .add(body.calculateGravityForce(position, 1))
+          .add(body.acceleration);
+      }
+      return acceleration;
+    };
+    velocityVerlet(this.position, this.velocity, deltaTime, accelerationAt);
+
+    // Destroyed on hitting any body anywhere along the step, or once it is
+    // far out of the system
+    for (const celestialBody of this.celestialBodies) {
+      if (
+        celestialBody.sweepCollision(
+          previousPosition,
+          this.position,
+          this.collisionRadius
+        ) !== null
+      ) {
+        this.isDestroyed = true;
+        return;
+      }
+    }
+    if (this.position.length() > MAX_DEBRIS_DISTANCE) {
+      this.isDestroyed = true;
+      return;
+    }
+
+    this.referenceBody =
+      findSphereOfInfluence(this.celestialBodies, this.position) ||
+      this.referenceBody;
+
+    // Tumble slowly
+    this.mesh.rotation.x += 0.5 * deltaTime;
+
+    this.updateTrail(deltaTime);
+  }
+
+  // Position and velocity relative to the reference body, or null without
+  // one
+  getRelativeState() {
+    const body = this.referenceBody;
+    if (this.isDestroyed || !body) return null;
+
+    return {
+      position: this.position.clone().sub(body.position),
+      velocity: this.velocity.clone().sub(body.velocity),
+    };
+  }
+
+  // Classification of the conic the debris is on (one of TRAJECTORY), or
+  // null without one, judged as for the rocket
+  getTrajectory() {
+    const state = this.getRelativeState();
+    if (!state) return null;
+
+    const body = this.referenceBody;
+    const safeRadius =
+      body.radius + (body.hasAtmosphere ? body.atmosphereHeight : 0);
+    return classifyTrajectory(
+      computeOrbitalElements(state.position, state.velocity, body.mu),
+      body.radius,
+      safeRadius
+    );
+  }
+
+  // Coast along the Kepler orbit through relativeState for time warp on
+  // rails. A stage falling back onto its body would hit it somewhere during
+  // the warp, so it is destroyed straight away.
+  coastOnRails(relativeState, deltaTime) {
+    if (!relativeState) return;
+
+    const body = this.referenceBody;
+    const { periapsis, isClosed, radialVelocity } = computeOrbitalElements(
+      relativeState.position,
+      relativeState.velocity,
+      body.mu
+    );
+    if (periapsis < body.radius && (isClosed || radialVelocity < 0)) {
+      this.isDestroyed = true;
+      return;
+    }
+
+    const { position, velocity } = propagateKeplerOrbit(
+      relativeState.position,
+      relativeState.velocity,
+      body.mu,
+      deltaTime
+    );
+    this.position.copy(body.position).add(position);
+    this.velocity.copy(body.velocity).add(velocity);
+
+    if (this.position.length() > MAX_DEBRIS_DISTANCE) {
+      this.isDestroyed = true;
+      return;
+    }
+
+    this.referenceBody =
+      findSphereOfInfluence(this.celestialBodies, this.position) ||
+      this.referenceBody;
+    this.updateTrail(deltaTime);
+  }
+
+  updateTrail(deltaTime) {
+    this.trailTimer += deltaTime;
+    if (this.trailTimer < this.trailUpdateInterval) return;
+    this.trailTimer = 0;
+
+    this.trailPoints.push(this.position.clone());
+    if (this.trailPoints.length > this.trailMaxPoints) {
+      this.trailPoints.shift();
+    }
+    this.trail.geometry.setFromPoints(this.trailPoints);
+  }
+
+  addToScene(scene) {
+    scene.add(this.mesh);
+    scene.add(this.trail);
+  }
+
+  removeFromScene(scene) {
+    scene.remove(this.mesh);
+    scene.remove(this.trail);
+    this.trail.geometry.dispose();
+  }
+}
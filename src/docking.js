@@ -0,0 +1,35 @@
+// A docking port on the nose of a rocket. Two ports lock together when they
+// meet slowly enough, lined up nose to nose; the rockets then fly as one
+// vessel until they undock, which pushes them gently apart.
+export class DockingPort {
+  constructor(options = {}) {
+    this.captureDistance = options.captureDistance || 0.05; // Port to port
+    this.maxCaptureSpeed = options.maxCaptureSpeed || 0.03; // Relative speed
+    this.maxCaptureAngle = options.maxCaptureAngle || 15; // Degrees
+    this.undockSpeed = options.undockSpeed || 0.01; // Speed apart on undocking
+
+    // The vessel last undocked from, which the port won't catch again
+    // until the two have drifted twice the capture distance apart
+    this.releasedVessel = null;
+  }
+
+  // Whether this port locks onto vessel's, given how they line up: the
+  // distance between the ports, the relative speed, and how many degrees
+  // the noses are from pointing at each other
+  canCapture(vessel, { distance, relativeSpeed, angle }) {
+    return (
+      vessel !== this.releasedVessel &&
+      distance <= this.captureDistance &&
+      relativeSpeed <= this.maxCaptureSpeed &&
+      angle <= this.maxCaptureAngle
+    );
+  }
+
+  // Forget the vessel last undocked from, so it can be caught again, once
+  // its port is distance away and that is far enough
+  updateRelease(vessel, distance) {
+    if (vessel === this.releasedVessel && distance > this.captureDistance * 2) {
+      this.releasedVessel = null;
+    }
+  }
+}
@@ -0,0 +1,59 @@
+// Standard gravity used to convert specific impulse to exhaust velocity:
+// Earth's surface gravity (μ / r²) in game units
+export const STANDARD_GRAVITY = 0.225;
+
+// A rocket engine. Propellant flow is set by the throttle; the thrust that
+// flow produces depends on the specific impulse, which falls from its vacuum
+// value towards its sea-level value as atmospheric pressure rises.
+// Pressure is given as a fraction of sea-level pressure (0 in vacuum).
+export class Engine {
+  constructor(options = {}) {
+    this.name = options.name || "Engine";
+    this.maxThrust = options.maxThrust || 0.6; // In vacuum, at full throttle
+    this.minThrottle = options.minThrottle || 0; // Lowest setting once lit
+    this.vacuumIsp = options.vacuumIsp || 80; // Seconds
+    this.seaLevelIsp = options.seaLevelIsp || this.vacuumIsp;
+    this.gimbalRange = options.gimbalRange || 0; // Degrees; 0 is fixed
+  }
+
+  // Specific impulse at a pressure, interpolated linearly between the
+  // vacuum and sea-level values
+  getSpecificImpulse(pressure = 0) {
+    const clampedPressure = Math.max(0, Math.min(1, pressure));
+    return (
+      this.vacuumIsp + (this.seaLevelIsp - this.vacuumIsp) * clampedPressure
+    );
+  }
+
+  // Effective exhaust velocity, ve = Isp * g0
+  getExhaustVelocity(pressure = 0) {
+    return this.getSpecificImpulse(pressure) * STANDARD_GRAVITY;
+  }
+
+  // The throttle the engine actually runs at: off, or at least its minimum
+  getEffectiveThrottle(throttle) {
+    if (throttle <= 0) return 0;
+    return Math.max(this.minThrottle, Math.min(1, throttle));
+  }
+
+  // Propellant burned per second, mdot = F / ve. The flow depends only on
+  // the throttle; it is sized to give maxThrust in vacuum.
+  getMassFlowRate(throttle) {
+    return (
+      (this.getEffectiveThrottle(throttle) * this.maxThrust) /
+      this.getExhaustVelocity(0)
+    );
+  }
+
+  // Thrust at a throttle setting and pressure, F = mdot * ve
+  getThrust(throttle, pressure = 0) {
+    return this.getMassFlowRate(throttle) * this.getExhaustVelocity(pressure);
+  }
+
+  // Largest turning torque from swivelling the nozzle while producing
+  // thrust, leverArm away from the center of mass. The small sideways push
+  // this gives is left out.
+  getGimbalTorque(thrust, leverArm) {
+    return thrust * Math.sin(this.gimbalRange * (Math.PI / 180)) * leverArm;
+  }
+}
@@ -0,0 +1,75 @@
+// Numerical integrators for the rocket's equations of motion.
+// Each one advances position and velocity (THREE.Vector3) in place by
+// deltaTime. accelerationAt(position, velocity) returns the acceleration at a
+// trial state and must not modify its arguments.
+
+// Semi-implicit (symplectic) Euler: velocity first, then position with the
+// new velocity. Cheap, but only first order.
+export function semiImplicitEuler(
+  position,
+  velocity,
+  deltaTime,
+  accelerationAt
+) {
+  const acceleration = accelerationAt(position, velocity);
+  velocity.addScaledVector(acceleration, deltaTime);
+  position.addScaledVector(velocity, deltaTime);
+}
+
+// Velocity Verlet: second order and symplectic, so orbital energy stays
+// bounded over long coasts instead of drifting.
+export function velocityVerlet(position, velocity, deltaTime, accelerationAt) {
+  const acceleration = accelerationAt(position, velocity);
+
+  position
+    .addScaledVector(velocity, deltaTime)
+    .addScaledVector(acceleration, 0.5 * deltaTime * deltaTime);
+
+  // Velocity-dependent forces (drag) are evaluated at a predicted velocity
+  const predictedVelocity = velocity
+    .clone()
+    .addScaledVector(acceleration, deltaTime);
+  const newAcceleration = accelerationAt(position, predictedVelocity);
+
+  velocity.addScaledVector(acceleration.add(newAcceleration), 0.5 * deltaTime);
+}
+
+// Classic fourth-order Runge-Kutta. Not symplectic, but very accurate per
+// step.
+export function rungeKutta4(position, velocity, deltaTime, accelerationAt) {
+  const halfStep = deltaTime / 2;
+
+  const p1 = position.clone();
+  const v1 = velocity.clone();
+  const a1 = accelerationAt(p1, v1);
+
+  const p2 = p1.clone().addScaledVector(v1, halfStep);
+  const v2 = v1.clone().addScaledVector(a1, halfStep);
+  const a2 = accelerationAt(p2, v2);
+
+  const p3 = p1.clone().addScaledVector(v2, halfStep);
+  const v3 = v1.clone().addScaledVector(a2, halfStep);
+  const a3 = accelerationAt(p3, v3);
+
+  const p4 = p1.clone().addScaledVector(v3, deltaTime);
+  const v4 = v1.clone().addScaledVector(a3, deltaTime);
+  const a4 = accelerationAt(p4, v4);
+
+  position.addScaledVector(
+    v1.add(v2.multiplyScalar(2)).add(v3.multiplyScalar(2)).add(v4),
+    deltaTime / 6
+  );
+  velocity.addScaledVector(
+    a1.add(a2.multiplyScalar(2)).add(a3.multiplyScalar(2)).add(a4),
+    deltaTime / 6
+  );
+}
+
+// Integrators selectable at runtime, keyed by id
+export const INTEGRATORS = {
+  euler: { name: "Semi-implicit Euler", step: semiImplicitEuler },
+  verlet: { name: "Velocity Verlet", step: velocityVerlet },
+  rk4: { name: "Runge-Kutta 4", step: rungeKutta4 },
+};
+
+export const DEFAULT_INTEGRATOR = "verlet";
@@ -0,0 +1,75 @@
+import * as THREE from "three";
+
+// Resting states of a vessel on a body's surface
+export const LANDING_STATE = {
+  LANDED: "landed",
+  SPLASHED: "splashed",
+};
+
+// A touchdown faster than either speed limit, or further than the tilt limit
+// (degrees) from upright, is a crash
+export const LANDING_LIMITS = {
+  verticalSpeed: 0.3,
+  horizontalSpeed: 0.3,
+  tilt: 45,
+};
+
+// Grades from best to worst, by the largest fraction of any limit used
+const LANDING_GRADES = [
+  { maxRatio: 0.25, grade: "Perfect" },
+  { maxRatio: 0.5, grade: "Good" },
+  { maxRatio: 0.75, grade: "Rough" },
+  { maxRatio: 1, grade: "Hard" },
+];
+
+// Measure a touchdown relative to a body's (turning) surface: the speed
+// into the surface, the speed along it, and the angle in degrees between the
+// nose and the surface normal
+export function measureSurfaceContact(position, velocity, noseDirection, body) {
+  const normal = new THREE.Vector3()
+    .copy(position)
+    .sub(body.position)
+    .normalize();
+  const relativeVelocity = velocity
+    .clone()
+    .sub(body.getSurfaceVelocity(position));
+
+  const verticalSpeed = -relativeVelocity.dot(normal);
+  const horizontalSpeed = relativeVelocity
+    .clone()
+    .addScaledVector(normal, verticalSpeed)
+    .length();
+  const tilt =
+    Math.acos(THREE.MathUtils.clamp(noseDirection.dot(normal), -1, 1)) *
+    (180 / Math.PI);
+
+  return { normal, verticalSpeed, horizontalSpeed, tilt };
+}
+
+// Whether a touchdown is within every limit
+export function isSafeLanding({ verticalSpeed, horizontalSpeed, tilt }) {
+  return (
+    verticalSpeed <= LANDING_LIMITS.verticalSpeed &&
+    horizontalSpeed <= LANDING_LIMITS.horizontalSpeed &&
+    tilt <= LANDING_LIMITS.tilt
+  );
+}
+
+// Grade a safe touchdown. The score (0-100) falls with the average fraction
+// of the limits used; the grade comes from the worst one.
+export function gradeLanding({ verticalSpeed, horizontalSpeed, tilt }) {
+  const ratios = [
+    Math.max(0, verticalSpeed) / LANDING_LIMITS.verticalSpeed,
+    horizontalSpeed / LANDING_LIMITS.horizontalSpeed,
+    tilt / LANDING_LIMITS.tilt,
+  ];
+  const worstRatio = Math.max(...ratios);
+  const averageRatio = ratios.reduce((sum, ratio) => sum + ratio, 0) / 3;
+
+  const { grade } =
+    LANDING_GRADES.find(({ maxRatio }) => worstRatio <= maxRatio) ||
+    LANDING_GRADES[LANDING_GRADES.length - 1];
+  const score = Math.round(100 * Math.max(0, 1 - averageRatio));
+
+  return { grade, score };
+}
@@ -1,7 +1,43 @@
 import * as THREE from "three";
 import { createScene } from "./sceneSetup.js";
 import { updateControls } from "./controls.js";
-import { updateUI } from "./ui.js";
+import { Rocket, CRASH_CAUSE } from "./rocket.js";
+import {
+  RAILS_WARP_THRESHOLD,
+  WARP_BLOCKER,
+  getRailsWarpBlocker,
+  getOtherVesselsWarpBlocker,
+  warpOnRails,
+} from "./timeWarp.js";
+import { LANDING_STATE } from "./landing.js";
+import { SAS_MODE } from "./attitudeControl.js";
+import {
+  AscentAutopilot,
+  ASCENT_PHASE,
+  ASCENT_ABORT_REASON,
+} from "./ascentAutopilot.js";
+import {
+  TrajectoryPredictor,
+  TRAJECTORY_MARKER,
+} from "./trajectoryPredictor.js";
+import { ManeuverNode, ManeuverNodeHandles, toScreen } from "./maneuverNode.js";
+import { getManeuverFrame } from "./orbitalMechanics.js";
+import { TransferPlanner, TRANSFER_TYPE } from "./transferPlanner.js";
+import { VesselManager, VESSEL_SITUATION } from "./vesselManager.js";
+import { getRelativeMotion, findClosestApproach } from "./rendezvous.js";
+import {
+  updateUI,
+  updateAttitudeUI,
+  updateDeltaVUI,
+  updateThrottleUI,
+  updateAerodynamicsUI,
+  updateTemperatureUI,
+  updateRotationUI,
+  updateStagesUI,
+  updateManeuverUI,
+  updateTargetUI,
+  SPEED_MODE,
+} from "./ui.js";
 
 // Initialize renderer
 const container = document.getElementById("container");
@@ -11,16 +47,41 @@ renderer.setPixelRatio(window.devicePixelRatio);
 container.appendChild(renderer.domElement);
 
 // Create scene and camera
-const { scene, rocket, celestialBodies } = createScene();
+const {
+  scene,
+  rocket: firstRocket,
+  celestialBodies,
+  trajectoryPredictor,
+} = createScene();
+
+// Every vessel in flight. The rocket under control is the one the HUD,
+// keys and camera work with; switching vessels changes it.
+const vesselManager = new VesselManager(scene);
+vesselManager.add(firstRocket);
+let rocket = firstRocket;
+let rocketsLaunched = 1; // For naming new rockets
+
 const camera = new THREE.PerspectiveCamera(
   60, // Reduced FOV for better zoom effect
   window.innerWidth / window.innerHeight,
   0.1,
   1000 // Initial far clipping plane, will be adjusted dynamically
 );
-// Move camera closer to make Earth appear larger
-camera.position.set(0, 0, 6);
-camera.lookAt(0, 0, 0);
+// The camera orbits the origin. Its distance is the zoom level; dragging
+// with the mouse changes the viewing angle so out-of-plane motion can be
+// seen. The default view looks down on the XY plane from +Z.
+const defaultCameraDistance = 6; // Close enough to make Earth appear large
+const cameraView = new THREE.Spherical(defaultCameraDistance, Math.PI / 2, 0);
+const minCameraPolarAngle = 0.05; // Keep away from the poles of the view
+const maxCameraPolarAngle = Math.PI - 0.05;
+const cameraDragSpeed = 0.005; // Radians per pixel dragged
+
+function updateCameraPosition() {
+  camera.position.setFromSpherical(cameraView);
+  camera.lookAt(0, 0, 0);
+}
+
+updateCameraPosition();
 
 // Get Earth (primary body) from celestial bodies
 const earth = celestialBodies[0];
@@ -29,11 +90,76 @@ const earthRadius = earth ? earth.radius : 2;
 // Get Moon from celestial bodies
 const moon = celestialBodies.length > 1 ? celestialBodies[1] : null;
 
-// Simulation speed settings
-const speedSettings = [1, 5, 100]; // Available speed multipliers
+// Simulation speed settings. Up to 100x the physics just runs more fixed
+// steps; from RAILS_WARP_THRESHOLD up, a coasting rocket is moved along its
+// orbit analytically ("on rails").
+const speedSettings = [1, 5, 100, 1000, 10000, 100000]; // Available speed multipliers
+const maxPhysicsSpeedIndex = 2; // 100x, where rails warp drops back to
 let currentSpeedIndex = 0; // Start at normal speed (1x)
 let simulationSpeed = speedSettings[currentSpeedIndex];
 
+// Why rails warp can't run now, or null. The ascent autopilot needs the
+// physics to fly, so it holds the warp down for its whole ascent; so does
+// any other rocket that is burning or in an atmosphere.
+function getWarpBlocker() {
+  if (ascentAutopilot.isActive()) return WARP_BLOCKER.AUTOPILOT;
+  return (
+    getRailsWarpBlocker(rocket) ||
+    getOtherVesselsWarpBlocker(vesselManager.getOtherVessels())
+  );
+}
+
+// Change the simulation speed. Rails warp is refused while the rocket or
+// another one can't coast (thrusting, in an atmosphere or crashed) or the
+// autopilot is flying.
+function setSimulationSpeed(index) {
+  if (speedSettings[index] >= RAILS_WARP_THRESHOLD) {
+    const blocker = getWarpBlocker();
+    if (blocker) {
+      window.dispatchEvent(
+        new CustomEvent("timeWarpLimited", {
+          detail: { reason: blocker, refused: true },
+        })
+      );
+      return;
+    }
+  }
+
+  currentSpeedIndex = index;
+  simulationSpeed = speedSettings[currentSpeedIndex];
+  updateSpeedControls();
+}
+
+// Leave rails warp: to normal speed if the engine is firing, a planned
+// burn is due or the surface is coming up, otherwise to the fastest
+// physics speed
+function dropOutOfRailsWarp(blocker) {
+  setSimulationSpeed(
+    blocker === WARP_BLOCKER.THRUST ||
+      blocker === WARP_BLOCKER.MANEUVER ||
+      blocker === WARP_BLOCKER.SURFACE
+      ? 0
+      : maxPhysicsSpeedIndex
+  );
+  window.dispatchEvent(
+    new CustomEvent("timeWarpLimited", {
+      detail: { reason: blocker, refused: false },
+    })
+  );
+}
+
+// Speed readout mode, switched with U or by clicking the speed label
+let speedMode = SPEED_MODE.ORBITAL;
+
+function toggleSpeedMode() {
+  speedMode =
+    speedMode === SPEED_MODE.ORBITAL ? SPEED_MODE.SURFACE : SPEED_MODE.ORBITAL;
+}
+
+const speedModeLabel = document.getElementById("speed-label");
+speedModeLabel.style.cursor = "pointer";
+speedModeLabel.addEventListener("click", toggleSpeedMode);
+
 // Zoom controls
 const minZoom = 3; // Closest zoom (very close to Earth)
 const maxZoom = 30; // Increased furthest zoom to see more of space
@@ -46,11 +172,12 @@ container.addEventListener("wheel", (event) => {
   // Determine zoom direction
   const zoomDirection = event.deltaY > 0 ? 1 : -1;
 
-  // Calculate new camera position
-  const newZ = camera.position.z + zoomDirection * zoomSpeed;
+  // Calculate new camera distance
+  const newDistance = cameraView.radius + zoomDirection * zoomSpeed;
 
   // Clamp to min/max zoom levels
-  camera.position.z = Math.max(minZoom, Math.min(maxZoom, newZ));
+  cameraView.radius = Math.max(minZoom, Math.min(maxZoom, newDistance));
+  updateCameraPosition();
 
   // Update zoom indicator
   updateZoomIndicator();
@@ -60,28 +187,265 @@ container.addEventListener("wheel", (event) => {
 window.addEventListener("keydown", (event) => {
   // Plus key to zoom in
   if (event.key === "+" || event.key === "=") {
-    camera.position.z = Math.max(minZoom, camera.position.z - zoomSpeed);
+    cameraView.radius = Math.max(minZoom, cameraView.radius - zoomSpeed);
+    updateCameraPosition();
   }
   // Minus key to zoom out
   else if (event.key === "-" || event.key === "_") {
-    camera.position.z = Math.min(maxZoom, camera.position.z + zoomSpeed);
+    cameraView.radius = Math.min(maxZoom, cameraView.radius + zoomSpeed);
+    updateCameraPosition();
+  }
+  // Number keys 1 to 6 for simulation speed (1x to 100,000x)
+  else if (event.key >= "1" && event.key <= "6") {
+    setSimulationSpeed(Number(event.key) - 1);
+  }
+});
+
+// Ascent autopilot, set up from its panel and engaged with A or the panel's
+// button while the rocket is on the pad
+const ascentAutopilot = new AscentAutopilot();
+
+// Maneuver node: a planned burn placed by clicking on the predicted path.
+// Its handles set the delta-v, and the orbit after the burn is drawn in a
+// second color.
+let maneuverNode = null;
+const maneuverHandles = new ManeuverNodeHandles();
+maneuverHandles.addToScene(scene);
+const plannedTrajectory = new TrajectoryPredictor(celestialBodies, {
+  color: 0xffaa00,
+});
+plannedTrajectory.addToScene(scene);
+
+const transferPlanner = new TransferPlanner(celestialBodies);
+
+const maneuverPickRadius = 10; // Pixels from the path a click may land
+const maneuverWarpMargin = 5; // Seconds before a burn that time warp stops
+
+// Place the maneuver node where the predicted path is drawn nearest to
+// (x, y) on screen, if close enough. Only the part of the path around the
+// current body can take a node, and a node can't move once its burn starts.
+function placeManeuverNode(x, y) {
+  const prediction = trajectoryPredictor.prediction;
+  if (!prediction || (maneuverNode && maneuverNode.isExecuting())) return;
+
+  const { points, times, markers } = prediction;
+  const soiChange = markers.find(
+    (marker) => marker.type === TRAJECTORY_MARKER.SOI_CHANGE
+  );
+  const endTime = soiChange ? soiChange.time : Infinity;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const click = new THREE.Vector2(x, y);
+
+  let nodeTime = null;
+  let closestDistance = maneuverPickRadius;
+  let start = toScreen(points[0], camera, width, height);
+  for (let i = 1; i < points.length && times[i] <= endTime; i++) {
+    const end = toScreen(points[i], camera, width, height);
+
+    // Nearest point on this piece of the path, as a fraction along it
+    const piece = end.clone().sub(start);
+    const fraction =
+      piece.lengthSq() > 0
+        ? THREE.MathUtils.clamp(
+            click.clone().sub(start).dot(piece) / piece.lengthSq(),
+            0,
+            1
+          )
+        : 0;
+    const distance = start
+      .clone()
+      .addScaledVector(piece, fraction)
+      .distanceTo(click);
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      nodeTime = THREE.MathUtils.lerp(times[i - 1], times[i], fraction);
+    }
+    start = end;
+  }
+
+  if (nodeTime === null) return;
+  maneuverNode = new ManeuverNode(
+    rocket.getReferenceBody(),
+    rocket.missionTime + nodeTime
+  );
+}
+
+// Replace the maneuver node with the departure burn of a transfer to the
+// Moon, or back to Earth from around the Moon, and say how it looks
+function planTransfer() {
+  if (maneuverNode && maneuverNode.isExecuting()) return;
+
+  const transfer = transferPlanner.plan(rocket);
+  if (!transfer) {
+    window.dispatchEvent(
+      new CustomEvent("transferPlanned", { detail: { transfer: null } })
+    );
+    return;
+  }
+
+  maneuverNode = transfer.node;
+  window.dispatchEvent(
+    new CustomEvent("transferPlanned", { detail: { transfer } })
+  );
+}
+
+function removeManeuverNode() {
+  maneuverNode = null;
+  maneuverHandles.hide();
+  plannedTrajectory.hide();
+  updateManeuverUI(null);
+}
+
+// Redraw the node, its handles and the orbit after the burn, and show the
+// burn in the HUD. The node is dropped if the rocket crashes or leaves the
+// body's sphere of influence.
+function updateManeuverNode() {
+  if (!maneuverNode) return;
+
+  const state = maneuverNode.getStateAtNode(rocket);
+  if (rocket.isCrashed() || !state) {
+    removeManeuverNode();
+    return;
+  }
+
+  const body = maneuverNode.body;
+  const timeToNode = maneuverNode.time - rocket.missionTime;
+  maneuverHandles.show(
+    body.position.clone().add(state.position),
+    getManeuverFrame(state.position, state.velocity),
+    camera
+  );
+
+  // Before the burn, the planned orbit follows on from the node; during
+  // it, from the rocket, with what is left of the burn
+  plannedTrajectory.target = maneuverNode.target;
+  if (maneuverNode.isExecuting()) {
+    plannedTrajectory.show(
+      rocket.position,
+      rocket.velocity
+        .clone()
+        .add(maneuverNode.burnVector)
+        .sub(maneuverNode.deliveredDeltaV),
+      body
+    );
+  } else {
+    plannedTrajectory.show(
+      body.position.clone().add(state.position),
+      body.velocity
+        .clone()
+        .add(state.velocity)
+        .add(maneuverNode.getBurnVector(state)),
+      body,
+      Math.max(0, timeToNode)
+    );
+  }
+
+  const { closestApproach } = plannedTrajectory.prediction;
+  const canBurn = maneuverNode.canBurn(rocket);
+  updateManeuverUI({
+    closestApproach: closestApproach && {
+      body: maneuverNode.target.name,
+      altitude: closestApproach.distance - maneuverNode.target.radius,
+      time: closestApproach.time,
+    },
+    deltaV: maneuverNode.getDeltaV(),
+    remainingDeltaV: maneuverNode.getRemainingDeltaV(),
+    burnTime: canBurn ? maneuverNode.getBurnTime(rocket) : null,
+    timeToNode,
+    timeToBurn: canBurn
+      ? maneuverNode.getBurnStartTime(rocket) - rocket.missionTime
+      : null,
+  });
+}
+
+// Follow the burn through a physics step, and clear the node once done
+function updateManeuverBurn(deltaTime) {
+  if (!maneuverNode || !maneuverNode.update(rocket, deltaTime)) return;
+
+  window.dispatchEvent(
+    new CustomEvent("maneuverComplete", {
+      detail: { deltaV: maneuverNode.getDeltaV() },
+    })
+  );
+  removeManeuverNode();
+}
+
+// Drag with the mouse to rotate the view around the origin. Pressing on a
+// maneuver node handle drags the handle instead, and a click without a drag
+// places a maneuver node on the predicted path.
+let isDraggingView = false;
+let draggedHandle = null;
+let lastDragX = 0;
+let lastDragY = 0;
+let pressX = 0;
+let pressY = 0;
+const clickMaxMove = 4; // Pixels a click may move and still not be a drag
+
+container.addEventListener("pointerdown", (event) => {
+  if (event.button !== 0) return;
+  draggedHandle = maneuverHandles.pick(
+    event.clientX,
+    event.clientY,
+    camera,
+    window.innerWidth,
+    window.innerHeight
+  );
+  isDraggingView = !draggedHandle;
+  lastDragX = pressX = event.clientX;
+  lastDragY = pressY = event.clientY;
+});
+
+window.addEventListener("pointermove", (event) => {
+  if (draggedHandle && maneuverNode) {
+    maneuverNode.adjustDeltaV(
+      draggedHandle.direction,
+      maneuverHandles.getDragDeltaV(
+        draggedHandle,
+        event.clientX - lastDragX,
+        event.clientY - lastDragY,
+        camera,
+        window.innerWidth,
+        window.innerHeight
+      )
+    );
+    lastDragX = event.clientX;
+    lastDragY = event.clientY;
+    return;
   }
-  // Number keys 1, 2, 3 for simulation speed
-  else if (event.key === "1") {
-    currentSpeedIndex = 0; // 1x speed
-    simulationSpeed = speedSettings[currentSpeedIndex];
-    updateSpeedControls();
-  } else if (event.key === "2") {
-    currentSpeedIndex = 1; // 5x speed
-    simulationSpeed = speedSettings[currentSpeedIndex];
-    updateSpeedControls();
-  } else if (event.key === "3") {
-    currentSpeedIndex = 2; // 100x speed
-    simulationSpeed = speedSettings[currentSpeedIndex];
-    updateSpeedControls();
+  if (!isDraggingView) return;
+
+  cameraView.theta -= (event.clientX - lastDragX) * cameraDragSpeed;
+  cameraView.phi = Math.max(
+    minCameraPolarAngle,
+    Math.min(
+      maxCameraPolarAngle,
+      cameraView.phi - (event.clientY - lastDragY) * cameraDragSpeed
+    )
+  );
+  lastDragX = event.clientX;
+  lastDragY = event.clientY;
+  updateCameraPosition();
+});
+
+window.addEventListener("pointerup", (event) => {
+  if (
+    isDraggingView &&
+    Math.hypot(event.clientX - pressX, event.clientY - pressY) < clickMaxMove
+  ) {
+    placeManeuverNode(event.clientX, event.clientY);
   }
+  isDraggingView = false;
+  draggedHandle = null;
 });
 
+// Return to the default view looking down on the launch plane
+function resetCameraView() {
+  cameraView.phi = Math.PI / 2;
+  cameraView.theta = 0;
+  updateCameraPosition();
+}
+
 // Handle window resize
 window.addEventListener("resize", () => {
   camera.aspect = window.innerWidth / window.innerHeight;
@@ -104,6 +468,9 @@ function createSpeedControls() {
     { label: "1x", key: "1", speed: 1 },
     { label: "5x", key: "2", speed: 5 },
     { label: "100x", key: "3", speed: 100 },
+    { label: "1kx", key: "4", speed: 1000 },
+    { label: "10kx", key: "5", speed: 10000 },
+    { label: "100kx", key: "6", speed: 100000 },
   ];
 
   speeds.forEach((speedOption, index) => {
@@ -120,9 +487,7 @@ function createSpeedControls() {
     button.style.fontSize = "12px";
 
     button.addEventListener("click", () => {
-      currentSpeedIndex = index;
-      simulationSpeed = speedSettings[currentSpeedIndex];
-      updateSpeedControls();
+      setSimulationSpeed(index);
     });
 
     speedControlsContainer.appendChild(button);
@@ -236,7 +601,8 @@ function createZoomIndicator() {
   controlsHint.style.fontSize = "10px";
   controlsHint.innerHTML = `
     Mouse Wheel or +/- Keys<br>
-    Press Z to fit orbit
+    Press O to fit orbit<br>
+    Drag to rotate view, V to reset
   `;
   indicator.appendChild(controlsHint);
 
@@ -249,7 +615,7 @@ function createZoomIndicator() {
 function updateZoomIndicator() {
   const zoomLevelElement = document.getElementById("zoom-level");
   if (zoomLevelElement) {
-    zoomLevelElement.textContent = camera.position.z.toFixed(1);
+    zoomLevelElement.textContent = cameraView.radius.toFixed(1);
   }
 
   // Update zoom marker position
@@ -257,16 +623,22 @@ function updateZoomIndicator() {
   if (zoomMarker) {
     // Calculate position percentage based on current zoom
     const zoomRange = maxZoom - minZoom;
-    const zoomPercentage = ((camera.position.z - minZoom) / zoomRange) * 100;
+    const zoomPercentage = ((cameraView.radius - minZoom) / zoomRange) * 100;
     zoomMarker.style.left = `${zoomPercentage}%`;
   }
 
   // Adjust camera's far clipping plane based on zoom level
   // This ensures distant objects remain visible when zoomed out far
-  camera.far = Math.max(1000, camera.position.z * 50);
+  camera.far = Math.max(1000, cameraView.radius * 50);
   camera.updateProjectionMatrix();
 }
 
+// Crash overlay explanation for each cause of destruction
+const CRASH_MESSAGES = {
+  [CRASH_CAUSE.IMPACT]: "Your rocket has crashed into a celestial body.",
+  [CRASH_CAUSE.OVERHEAT]: "Your rocket overheated and burned up on reentry.",
+};
+
 // Create crash overlay
 function createCrashOverlay() {
   const overlay = document.createElement("div");
@@ -308,7 +680,8 @@ function createCrashOverlay() {
   document.head.appendChild(style);
 
   const subMessage = document.createElement("p");
-  subMessage.textContent = "Your rocket has crashed into a celestial body.";
+  subMessage.id = "crash-message";
+  subMessage.textContent = CRASH_MESSAGES[CRASH_CAUSE.IMPACT];
   subMessage.style.fontSize = "24px";
   subMessage.style.marginBottom = "10px";
   subMessage.style.fontFamily = "Arial, sans-serif";
@@ -330,8 +703,74 @@ function createCrashOverlay() {
 
 const crashOverlay = createCrashOverlay();
 
+// Create the landing summary overlay, shown after each touchdown
+function createLandingOverlay() {
+  const overlay = document.createElement("div");
+  overlay.id = "landing-overlay";
+  overlay.style.position = "absolute";
+  overlay.style.top = "30%";
+  overlay.style.left = "50%";
+  overlay.style.transform = "translate(-50%, -50%)";
+  overlay.style.backgroundColor = "rgba(0, 64, 0, 0.8)";
+  overlay.style.color = "white";
+  overlay.style.padding = "20px 30px";
+  overlay.style.borderRadius = "10px";
+  overlay.style.fontFamily = "Arial, sans-serif";
+  overlay.style.textAlign = "center";
+  overlay.style.display = "none";
+  overlay.style.zIndex = "1000";
+  overlay.style.cursor = "pointer";
+
+  // Click to dismiss
+  overlay.addEventListener("click", () => {
+    overlay.style.display = "none";
+  });
+
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+const landingOverlay = createLandingOverlay();
+let landingOverlayTimeout = null;
+
+window.addEventListener("rocketLanded", (event) => {
+  const landing = event.detail;
+  if (landing.vessel !== rocket) return;
+  const title =
+    landing.state === LANDING_STATE.SPLASHED
+      ? `Splashed down on ${landing.body}!`
+      : `Landed on ${landing.body}!`;
+  const latitude = `${Math.abs(landing.latitude).toFixed(1)}°${
+    landing.latitude >= 0 ? "N" : "S"
+  }`;
+  const longitude = `${Math.abs(landing.longitude).toFixed(1)}°${
+    landing.longitude >= 0 ? "E" : "W"
+  }`;
+
+  landingOverlay.innerHTML = `
+    <h2 style="margin-top: 0;">${title}</h2>
+    <p>Grade: <strong>${landing.grade}</strong> (score ${landing.score}/100)</p>
+    <p>Site: ${latitude}, ${longitude}</p>
+    <p>Vertical Speed: ${landing.verticalSpeed.toFixed(3)}</p>
+    <p>Horizontal Speed: ${landing.horizontalSpeed.toFixed(3)}</p>
+    <p>Tilt: ${landing.tilt.toFixed(1)}°</p>
+    <p style="font-size: 12px; opacity: 0.8;">Throttle up to lift off, or press R to reset</p>
+  `;
+  landingOverlay.style.display = "block";
+
+  // Hide the summary after 8 seconds
+  clearTimeout(landingOverlayTimeout);
+  landingOverlayTimeout = setTimeout(() => {
+    landingOverlay.style.display = "none";
+  }, 8000);
+});
+
 // Add event listener for rocket crash
-window.addEventListener("rocketCrash", () => {
+window.addEventListener("rocketCrash", (event) => {
+  if (event.detail.vessel !== rocket) return;
+  const { cause } = event.detail;
+  document.getElementById("crash-message").textContent =
+    CRASH_MESSAGES[cause] || CRASH_MESSAGES[CRASH_CAUSE.IMPACT];
   crashOverlay.style.display = "flex";
 });
 
@@ -369,27 +808,21 @@ const fuelOverlay = createOutOfFuelOverlay();
 
 // Reset game function
 function resetGame() {
+  ascentAutopilot.disengage();
+
+  // Back to the first rocket, with every other vessel gone
+  removeManeuverNode();
+  if (firstRocket.carrier) vesselManager.undock(firstRocket.carrier);
+  setActiveVessel(firstRocket);
+  vesselManager.removeAllExcept(firstRocket);
+  rocketsLaunched = 1;
+
   // Reset the rocket
   rocket.reset();
 
   // Reset the moon's position if it exists
   if (moon) {
-    moon.orbitAngle = 0; // Reset orbit angle
-    // Update the moon's position based on its orbit parameters
-    const x = earth.position.x + Math.cos(moon.orbitAngle) * moon.orbitRadius;
-    const y = earth.position.y + Math.sin(moon.orbitAngle) * moon.orbitRadius;
-    const z = earth.position.z;
-    moon.position.set(x, y, z);
-
-    // Update mesh position
-    if (moon.mesh) {
-      moon.mesh.position.copy(moon.position);
-    }
-
-    // Update atmosphere position
-    if (moon.atmosphere) {
-      moon.atmosphere.position.copy(moon.position);
-    }
+    moon.resetOrbit();
   }
 
   // Reset Earth's rotation if it exists
@@ -406,6 +839,7 @@ function resetGame() {
   resetButton.style.display = "none";
   crashOverlay.style.display = "none";
   fuelOverlay.style.display = "none";
+  landingOverlay.style.display = "none";
 
   // Reset simulation speed to 1x
   currentSpeedIndex = 0;
@@ -413,6 +847,100 @@ function resetGame() {
   updateSpeedControls();
 }
 
+// Discarded stages fly on as vessels of their own until they hit something
+window.addEventListener("stageSeparated", (event) => {
+  vesselManager.add(event.detail.debris);
+});
+
+// Take control of another rocket. The maneuver node was planned for the
+// rocket left behind, so it goes, as do the overlays about that rocket.
+function setActiveVessel(vessel) {
+  if (vessel === rocket || !vesselManager.isControllable(vessel)) return;
+
+  removeManeuverNode();
+  vesselManager.setActiveVessel(vessel);
+  rocket = vessel;
+  if (targetVessel === rocket) targetVessel = null;
+
+  crashOverlay.style.display = "none";
+  fuelOverlay.style.display = "none";
+  landingOverlay.style.display = "none";
+  resetButton.style.display = "none";
+}
+
+// Put a new rocket on the pad and take control of it, leaving the others
+// flying. Only one rocket can wait on the pad at a time.
+function launchNewRocket() {
+  const padTaken = vesselManager.vessels.some(
+    (vessel) =>
+      vesselManager.getSituation(vessel) === VESSEL_SITUATION.PRELAUNCH
+  );
+  if (padTaken) {
+    window.dispatchEvent(
+      new CustomEvent("vesselLaunchRefused", {
+        detail: { reason: "A rocket is already on the pad" },
+      })
+    );
+    return;
+  }
+
+  rocketsLaunched++;
+  const newRocket = new Rocket(celestialBodies, {
+    name: `Rocket ${rocketsLaunched}`,
+    launchSite: { ...firstRocket.launchSite },
+  });
+  vesselManager.add(newRocket);
+  setActiveVessel(newRocket);
+}
+
+// Vessel the rendezvous readouts are measured against, if any
+let targetVessel = null;
+
+// Target a vessel, or stop targeting it if it already is the target
+function toggleTarget(vessel) {
+  targetVessel = vessel === targetVessel || vessel === rocket ? null : vessel;
+}
+
+// Target the next vessel in the list after the current target, then none
+// once past the last
+function cycleTarget() {
+  const candidates = vesselManager.getOtherVessels();
+  const index = candidates.indexOf(targetVessel);
+  targetVessel = index + 1 < candidates.length ? candidates[index + 1] : null;
+}
+
+// Show how the rocket stands toward the target, which SAS can also point
+// at. The target is dropped once it is gone: crashed, docked with, or taken
+// control of.
+function updateTarget() {
+  if (targetVessel && !vesselManager.getOtherVessels().includes(targetVessel)) {
+    targetVessel = null;
+  }
+  rocket.sasTarget = targetVessel;
+  if (!targetVessel) {
+    updateTargetUI(null);
+    return;
+  }
+
+  const docking = vesselManager.isControllable(targetVessel)
+    ? {
+        alignment: rocket.getDockingAlignment(targetVessel),
+        canDock: rocket.canDockWith(targetVessel),
+      }
+    : null;
+  updateTargetUI({
+    name: targetVessel.name,
+    ...getRelativeMotion(rocket, targetVessel),
+    closestApproach: findClosestApproach(rocket, targetVessel),
+    docking,
+  });
+}
+
+// Let go of the rocket docked to the one under control
+function undockVessel() {
+  vesselManager.undock(rocket);
+}
+
 // Make resetGame available globally for the R key shortcut
 window.resetGame = resetGame;
 
@@ -433,44 +961,85 @@ function animate() {
 
   // Apply simulation speed multiplier
   const scaledFrameTime = frameTime * simulationSpeed;
-  accumulator += scaledFrameTime;
 
-  // Run physics updates at fixed time steps for stability
-  while (accumulator >= fixedTimeStep) {
-    // Update celestial bodies
-    for (const body of celestialBodies) {
-      body.update(fixedTimeStep);
+  if (simulationSpeed >= RAILS_WARP_THRESHOLD) {
+    // On rails: the controls are still read, so throttling up drops out of
+    // the warp
+    updateControls(rocket, frameTime);
+
+    // Stop a little before a planned burn is due to start, unless the
+    // rocket can't make it anyway
+    let warpTime = scaledFrameTime;
+    let maneuverDue = false;
+    if (
+      maneuverNode &&
+      !maneuverNode.isExecuting() &&
+      maneuverNode.canBurn(rocket)
+    ) {
+      const timeToStop =
+        maneuverNode.getBurnStartTime(rocket) -
+        maneuverWarpMargin -
+        rocket.missionTime;
+      if (timeToStop <= warpTime) {
+        warpTime = Math.max(0, timeToStop);
+        maneuverDue = true;
+      }
     }
 
-    updateControls(rocket, fixedTimeStep);
-    rocket.update(fixedTimeStep);
-    accumulator -= fixedTimeStep;
-  }
-
-  // Calculate altitude based on the closest celestial body
-  let closestBody = null;
-  let minDistance = Infinity;
-  let altitude = 0;
-
-  for (const body of celestialBodies) {
-    const distanceVector = new THREE.Vector3()
-      .copy(rocket.position)
-      .sub(body.position);
-    const distance = distanceVector.length() - body.radius;
+    const blocker =
+      getWarpBlocker() ||
+      warpOnRails(
+        rocket,
+        celestialBodies,
+        vesselManager.getOtherVessels(),
+        warpTime
+      ) ||
+      (maneuverDue ? WARP_BLOCKER.MANEUVER : null);
+    vesselManager.removeDestroyed();
+    if (blocker) dropOutOfRailsWarp(blocker);
+    accumulator = 0;
+  } else {
+    accumulator += scaledFrameTime;
+
+    // Run physics updates at fixed time steps for stability
+    while (accumulator >= fixedTimeStep) {
+      // Update celestial bodies
+      for (const body of celestialBodies) {
+        body.update(fixedTimeStep);
+      }
 
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestBody = body;
-      altitude = distance;
+      updateControls(rocket, fixedTimeStep);
+      ascentAutopilot.update(fixedTimeStep);
+      rocket.update(fixedTimeStep);
+      updateManeuverBurn(fixedTimeStep);
+      vesselManager.update(fixedTimeStep);
+      accumulator -= fixedTimeStep;
     }
   }
 
-  // If no bodies found, fallback to Earth calculation
-  if (!closestBody && earthRadius) {
+  trajectoryPredictor.update(rocket);
+  updateManeuverNode();
+  updateTarget();
+
+  // Altitude and speed are relative to the body whose sphere of influence
+  // the rocket is in
+  const referenceBody = rocket.getReferenceBody();
+  let altitude = 0;
+  let speed = rocket.velocity.length();
+
+  if (referenceBody) {
+    altitude =
+      rocket.position.distanceTo(referenceBody.position) - referenceBody.radius;
+    speed = rocket.velocity.distanceTo(
+      speedMode === SPEED_MODE.SURFACE
+        ? referenceBody.getSurfaceVelocity(rocket.position)
+        : referenceBody.velocity
+    );
+  } else if (earthRadius) {
+    // If no bodies found, fallback to Earth calculation
     altitude = rocket.position.length() - earthRadius;
   }
 
-  const speed = rocket.velocity.length();
   const fuelPercentage = rocket.getFuelPercentage();
   const isOutOfFuel = rocket.isOutOfFuel();
   const isInOrbit = rocket.isInStableOrbit();
@@ -486,8 +1055,26 @@ function animate() {
     isInOrbit,
     orbitTime,
     simulationSpeed,
-    closestBody ? closestBody.name : "Earth" // Add the name of the closest body
+    referenceBody ? referenceBody.name : "Earth", // Body being orbited
+    rocket.getOrbit(),
+    rocket.landedState,
+    speedMode
+  );
+  updateAttitudeUI(rocket.getAttitudeAngles());
+  updateRotationUI(
+    rocket.angularVelocity.length(),
+    rocket.sasEnabled,
+    rocket.sasMode,
+    rocket.rcs.enabled,
+    rocket.rcs.getMonopropellantPercentage()
   );
+  updateDeltaVUI(rocket.getDeltaV());
+  updateTemperatureUI(rocket.temperature, rocket.maxTemperature);
+  updateAerodynamicsUI(rocket.dynamicPressure, rocket.machNumber, rocket.maxQ);
+  updateThrottleUI(rocket.getThrottle(), rocket.thrustMagnitude, isOutOfFuel);
+  updateStagesUI(rocket.stages, rocket.getStageDeltaV());
+  updateAscentControls();
+  updateTrackingPanel();
 
   // Update debug overlay
   updateDebugOverlay();
@@ -528,76 +1115,105 @@ function createMoonOrbitControls() {
   title.style.fontWeight = "bold";
   controlsContainer.appendChild(title);
 
-  // Orbit Speed Control
-  const speedContainer = document.createElement("div");
-  speedContainer.style.marginBottom = "5px";
-
-  const speedLabel = document.createElement("label");
-  speedLabel.textContent = "Orbit Speed: ";
-  speedLabel.setAttribute("for", "moon-orbit-speed");
-  speedContainer.appendChild(speedLabel);
-
-  const speedValue = document.createElement("span");
-  speedValue.textContent = moon.orbitSpeed.toFixed(2);
-  speedValue.id = "moon-orbit-speed-value";
-  speedContainer.appendChild(speedValue);
-
-  controlsContainer.appendChild(speedContainer);
-
-  // Speed slider
-  const speedSlider = document.createElement("input");
-  speedSlider.type = "range";
-  speedSlider.id = "moon-orbit-speed";
-  speedSlider.min = "0.01";
-  speedSlider.max = "0.5";
-  speedSlider.step = "0.01";
-  speedSlider.value = moon.orbitSpeed;
-  speedSlider.style.width = "100%";
-
-  speedSlider.addEventListener("input", (e) => {
-    const newSpeed = parseFloat(e.target.value);
-    moon.setOrbitParameters({ orbitSpeed: newSpeed });
-    document.getElementById("moon-orbit-speed-value").textContent =
-      newSpeed.toFixed(2);
-  });
+  // Adds a labelled slider that edits one orbital element
+  const addElementSlider = ({ label, id, min, max, step, value, digits }) => {
+    const container = document.createElement("div");
+    container.style.marginTop = "10px";
+    container.style.marginBottom = "5px";
+
+    const labelElement = document.createElement("label");
+    labelElement.textContent = `${label}: `;
+    labelElement.setAttribute("for", id);
+    container.appendChild(labelElement);
+
+    const valueElement = document.createElement("span");
+    valueElement.textContent = value.toFixed(digits);
+    valueElement.id = `${id}-value`;
+    container.appendChild(valueElement);
+
+    controlsContainer.appendChild(container);
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.id = id;
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.value = value;
+    slider.style.width = "100%";
+
+    controlsContainer.appendChild(slider);
+    return { slider, valueElement };
+  };
+
+  // Period and angular speed follow from the semi-major axis and Earth's
+  // gravity, so they are shown but not editable
+  const periodContainer = document.createElement("div");
+  periodContainer.style.marginTop = "5px";
+  periodContainer.style.fontSize = "12px";
+  periodContainer.style.opacity = "0.8";
+
+  const updatePeriodDisplay = () => {
+    periodContainer.textContent = `Period: ${moon
+      .getOrbitalPeriod()
+      .toFixed(1)}s (${moon.orbitSpeed.toFixed(3)} rad/s)`;
+  };
+
+  const elementSliders = [
+    {
+      label: "Semi-major Axis",
+      id: "moon-semi-major-axis",
+      param: "semiMajorAxis",
+      min: 3,
+      max: 10,
+      step: 0.1,
+      digits: 1,
+    },
+    {
+      label: "Eccentricity",
+      id: "moon-eccentricity",
+      param: "eccentricity",
+      min: 0,
+      max: 0.6,
+      step: 0.01,
+      digits: 2,
+    },
+    {
+      label: "Inclination (°)",
+      id: "moon-inclination",
+      param: "inclination",
+      min: 0,
+      max: 90,
+      step: 1,
+      digits: 0,
+    },
+    {
+      label: "Arg. of Periapsis (°)",
+      id: "moon-argument-of-periapsis",
+      param: "argumentOfPeriapsis",
+      min: 0,
+      max: 360,
+      step: 1,
+      digits: 0,
+    },
+  ];
 
-  controlsContainer.appendChild(speedSlider);
+  elementSliders.forEach((options) => {
+    const { slider, valueElement } = addElementSlider({
+      ...options,
+      value: moon[options.param],
+    });
 
-  // Orbit Radius Control
-  const radiusContainer = document.createElement("div");
-  radiusContainer.style.marginTop = "10px";
-  radiusContainer.style.marginBottom = "5px";
-
-  const radiusLabel = document.createElement("label");
-  radiusLabel.textContent = "Orbit Radius: ";
-  radiusLabel.setAttribute("for", "moon-orbit-radius");
-  radiusContainer.appendChild(radiusLabel);
-
-  const radiusValue = document.createElement("span");
-  radiusValue.textContent = moon.orbitRadius.toFixed(1);
-  radiusValue.id = "moon-orbit-radius-value";
-  radiusContainer.appendChild(radiusValue);
-
-  controlsContainer.appendChild(radiusContainer);
-
-  // Radius slider
-  const radiusSlider = document.createElement("input");
-  radiusSlider.type = "range";
-  radiusSlider.id = "moon-orbit-radius";
-  radiusSlider.min = "3";
-  radiusSlider.max = "10";
-  radiusSlider.step = "0.1";
-  radiusSlider.value = moon.orbitRadius;
-  radiusSlider.style.width = "100%";
-
-  radiusSlider.addEventListener("input", (e) => {
-    const newRadius = parseFloat(e.target.value);
-    moon.setOrbitParameters({ orbitRadius: newRadius });
-    document.getElementById("moon-orbit-radius-value").textContent =
-      newRadius.toFixed(1);
+    slider.addEventListener("input", (e) => {
+      const newValue = parseFloat(e.target.value);
+      moon.setOrbitParameters({ [options.param]: newValue });
+      valueElement.textContent = newValue.toFixed(options.digits);
+      updatePeriodDisplay();
+    });
   });
 
-  controlsContainer.appendChild(radiusSlider);
+  controlsContainer.appendChild(periodContainer);
+  updatePeriodDisplay();
 
   // Direction Control
   const directionContainer = document.createElement("div");
@@ -693,6 +1309,302 @@ function createEarthRotationControls() {
   document.body.appendChild(controlsContainer);
 }
 
+// Status shown on the ascent panel for each phase of the flight
+const ASCENT_PHASE_LABELS = {
+  [ASCENT_PHASE.VERTICAL_CLIMB]: "Vertical climb",
+  [ASCENT_PHASE.PITCH_OVER]: "Pitch-over",
+  [ASCENT_PHASE.GRAVITY_TURN]: "Gravity turn",
+  [ASCENT_PHASE.COAST]: "Coasting to apoapsis",
+  [ASCENT_PHASE.CIRCULARIZE]: "Circularizing",
+};
+
+// Panel to set the ascent autopilot's target orbit and engage it. Once an
+// ascent ends it shows the report: delta-v spent and how close the orbit
+// came to the target.
+function createAscentControls() {
+  const controlsContainer = document.createElement("div");
+  controlsContainer.id = "ascent-controls";
+  controlsContainer.style.position = "absolute";
+  controlsContainer.style.top = "10px";
+  controlsContainer.style.left = "50%";
+  controlsContainer.style.transform = "translateX(-50%)";
+  controlsContainer.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+  controlsContainer.style.padding = "10px";
+  controlsContainer.style.borderRadius = "5px";
+  controlsContainer.style.color = "white";
+  controlsContainer.style.fontFamily = "Arial, sans-serif";
+  controlsContainer.style.fontSize = "14px";
+
+  // Title
+  const title = document.createElement("div");
+  title.textContent = "Ascent Autopilot";
+  title.style.marginBottom = "5px";
+  title.style.fontWeight = "bold";
+  controlsContainer.appendChild(title);
+
+  // Adds a labelled number input for one target value
+  const addTargetInput = ({ label, id, min, max, step, value }) => {
+    const labelElement = document.createElement("label");
+    labelElement.textContent = `${label}: `;
+    labelElement.setAttribute("for", id);
+    labelElement.style.marginRight = "10px";
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = id;
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = "50px";
+    // Typing digits into the field shouldn't trigger the key shortcuts
+    input.addEventListener("keydown", (event) => event.stopPropagation());
+
+    labelElement.appendChild(input);
+    controlsContainer.appendChild(labelElement);
+    return input;
+  };
+
+  addTargetInput({
+    label: "Altitude",
+    id: "ascent-target-altitude",
+    min: 3.1,
+    max: 20,
+    step: 0.1,
+    value: ascentAutopilot.targetAltitude,
+  });
+  addTargetInput({
+    label: "Inclination",
+    id: "ascent-target-inclination",
+    min: 0,
+    max: 180,
+    step: 1,
+    value: ascentAutopilot.targetInclination,
+  });
+
+  const engageButton = document.createElement("button");
+  engageButton.id = "ascent-engage";
+  engageButton.textContent = "Engage";
+  engageButton.style.padding = "3px 10px";
+  engageButton.style.cursor = "pointer";
+  engageButton.addEventListener("click", toggleAscentAutopilot);
+  controlsContainer.appendChild(engageButton);
+
+  const status = document.createElement("div");
+  status.id = "ascent-status";
+  status.style.marginTop = "5px";
+  status.style.fontSize = "12px";
+  status.textContent = "Engage on the pad (A)";
+  controlsContainer.appendChild(status);
+
+  document.body.appendChild(controlsContainer);
+}
+
+// Engage the autopilot toward the panel's target, or hand control back
+function toggleAscentAutopilot() {
+  if (ascentAutopilot.isActive()) {
+    ascentAutopilot.disengage();
+    return;
+  }
+
+  const altitude = parseFloat(
+    document.getElementById("ascent-target-altitude").value
+  );
+  const inclination = parseFloat(
+    document.getElementById("ascent-target-inclination").value
+  );
+  if (Number.isFinite(altitude)) ascentAutopilot.targetAltitude = altitude;
+  if (Number.isFinite(inclination)) {
+    ascentAutopilot.targetInclination = inclination;
+  }
+
+  if (!ascentAutopilot.engage(rocket)) {
+    document.getElementById("ascent-status").textContent =
+      "Can only engage on the pad";
+  }
+}
+
+function updateAscentControls() {
+  const engageButton = document.getElementById("ascent-engage");
+  const status = document.getElementById("ascent-status");
+  if (!engageButton || !status) return;
+
+  engageButton.textContent = ascentAutopilot.isActive()
+    ? "Disengage"
+    : "Engage";
+
+  if (ascentAutopilot.isActive()) {
+    status.textContent = ASCENT_PHASE_LABELS[ascentAutopilot.phase];
+    return;
+  }
+
+  const report = ascentAutopilot.report;
+  if (!report) return;
+  status.textContent = report.completed
+    ? `Done in ${report.time.toFixed(0)}s, Δv ${report.deltaVSpent.toFixed(
+        2
+      )}. Ap ${formatSignedError(report.apoapsisError)}, Pe ${formatSignedError(
+        report.periapsisError
+      )}, Inc ${formatSignedError(report.inclinationError, 1)}°`
+    : `Aborted: ${ASCENT_ABORT_MESSAGES[report.abortReason]}`;
+}
+
+// Helper function to format an error from a target with its sign
+function formatSignedError(value, digits = 3) {
+  return `${value >= 0 ? "+" : ""}${value.toFixed(digits)}`;
+}
+
+// Label and color for each vessel situation in the tracking panel
+const VESSEL_SITUATION_LABELS = {
+  [VESSEL_SITUATION.PRELAUNCH]: { label: "Prelaunch", color: "#aaaaaa" },
+  [VESSEL_SITUATION.LANDED]: { label: "Landed", color: "#66ccff" },
+  [VESSEL_SITUATION.SPLASHED]: { label: "Splashed", color: "#66ccff" },
+  [VESSEL_SITUATION.FLYING]: { label: "Flying", color: "#ffdd00" },
+  [VESSEL_SITUATION.ORBITING]: { label: "Orbiting", color: "#66ff66" },
+  [VESSEL_SITUATION.ESCAPING]: { label: "Escaping", color: "#ff9900" },
+  [VESSEL_SITUATION.CRASHED]: { label: "Crashed", color: "#ff4444" },
+};
+
+// Tracking panel listing every vessel with its situation, the body it is
+// near and its altitude. Clicking a rocket takes control of it; stages can
+// only be watched. Any vessel can be picked as the target with its ◎
+// button, and the rocket under control can undock what it carries.
+function createTrackingPanel() {
+  const controlsContainer = document.createElement("div");
+  controlsContainer.id = "tracking-panel";
+  controlsContainer.style.position = "absolute";
+  controlsContainer.style.top = "50%";
+  controlsContainer.style.right = "10px";
+  controlsContainer.style.transform = "translateY(-50%)";
+  controlsContainer.style.backgroundColor = "rgba(0, 0, 0, 0.7)";
+  controlsContainer.style.padding = "10px";
+  controlsContainer.style.borderRadius = "5px";
+  controlsContainer.style.color = "white";
+  controlsContainer.style.fontFamily = "Arial, sans-serif";
+  controlsContainer.style.fontSize = "12px";
+  controlsContainer.style.minWidth = "200px";
+
+  // Title
+  const title = document.createElement("div");
+  title.textContent = "Tracking ([ and ] to switch, \\ to target)";
+  title.style.marginBottom = "5px";
+  title.style.fontWeight = "bold";
+  title.style.fontSize = "14px";
+  controlsContainer.appendChild(title);
+
+  const list = document.createElement("div");
+  list.id = "tracking-list";
+  list.style.maxHeight = "200px";
+  list.style.overflowY = "auto";
+  controlsContainer.appendChild(list);
+
+  const launchButton = document.createElement("button");
+  launchButton.textContent = "Launch new rocket";
+  launchButton.style.marginTop = "5px";
+  launchButton.style.padding = "3px 10px";
+  launchButton.style.cursor = "pointer";
+  launchButton.addEventListener("click", launchNewRocket);
+  controlsContainer.appendChild(launchButton);
+
+  const undockButton = document.createElement("button");
+  undockButton.id = "undock-button";
+  undockButton.textContent = "Undock";
+  undockButton.style.marginTop = "5px";
+  undockButton.style.marginLeft = "5px";
+  undockButton.style.padding = "3px 10px";
+  undockButton.style.cursor = "pointer";
+  undockButton.style.display = "none";
+  undockButton.addEventListener("click", undockVessel);
+  controlsContainer.appendChild(undockButton);
+
+  document.body.appendChild(controlsContainer);
+}
+
+// Rows of the tracking list, kept per vessel so they are only built once
+const trackingRows = new Map();
+
+function updateTrackingPanel() {
+  const list = document.getElementById("tracking-list");
+  if (!list) return;
+
+  // Drop the rows of vessels that are gone
+  for (const [vessel, row] of trackingRows) {
+    if (!vesselManager.vessels.includes(vessel)) {
+      row.remove();
+      trackingRows.delete(vessel);
+    }
+  }
+
+  for (const vessel of vesselManager.vessels) {
+    let row = trackingRows.get(vessel);
+    if (!row) {
+      row = createTrackingRow(vessel);
+      trackingRows.set(vessel, row);
+      list.appendChild(row);
+    }
+
+    const situation =
+      VESSEL_SITUATION_LABELS[vesselManager.getSituation(vessel)];
+    const body = vessel.referenceBody;
+    const altitude = body
+      ? vessel.position.distanceTo(body.position) - body.radius
+      : null;
+
+    // A rocket carrying another is listed under both names
+    row.name.textContent = vessel.dockedVessel
+      ? `${vessel.name} + ${vessel.dockedVessel.name} `
+      : `${vessel.name} `;
+    row.situation.textContent = situation.label;
+    row.situation.style.color = situation.color;
+    row.location.textContent = body
+      ? `${body.name}, alt ${Math.max(0, altitude).toFixed(2)}`
+      : "";
+    row.style.backgroundColor =
+      vessel === rocket ? "rgba(255, 255, 255, 0.2)" : "transparent";
+    row.style.outline = vessel === targetVessel ? "1px solid #ff66ff" : "none";
+    row.targetButton.style.display = vessel === rocket ? "none" : "inline";
+  }
+
+  const undockButton = document.getElementById("undock-button");
+  undockButton.style.display = rocket.dockedVessel ? "inline" : "none";
+}
+
+function createTrackingRow(vessel) {
+  const row = document.createElement("div");
+  row.style.padding = "2px 4px";
+  row.style.borderRadius = "3px";
+  if (vesselManager.isControllable(vessel)) {
+    row.style.cursor = "pointer";
+    row.addEventListener("click", () => setActiveVessel(vessel));
+  } else {
+    row.style.color = "#aaaaaa";
+  }
+
+  row.targetButton = document.createElement("span");
+  row.targetButton.textContent = "◎ ";
+  row.targetButton.title = "Target";
+  row.targetButton.style.cursor = "pointer";
+  row.targetButton.style.color = "#ff66ff";
+  row.targetButton.addEventListener("click", (event) => {
+    event.stopPropagation(); // Targeting doesn't take control
+    toggleTarget(vessel);
+  });
+  row.appendChild(row.targetButton);
+
+  row.name = document.createElement("span");
+  row.appendChild(row.name);
+
+  row.situation = document.createElement("span");
+  row.appendChild(row.situation);
+
+  row.location = document.createElement("div");
+  row.location.style.fontSize = "11px";
+  row.location.style.color = "#aaaaaa";
+  row.appendChild(row.location);
+
+  return row;
+}
+
 // Create UI elements
 createSpeedControls();
 createResetButton();
@@ -701,8 +1613,11 @@ createCrashOverlay();
 createOutOfFuelOverlay();
 createMoonOrbitControls(); // Add moon orbit controls
 createEarthRotationControls(); // Add Earth rotation controls
+createAscentControls(); // Add ascent autopilot controls
+createTrackingPanel(); // Add vessel tracking panel
 createDebugOverlay(); // Add debug overlay
 createOrbitAchievedFeedback(); // Add orbit achieved feedback
+createFlightEventFeedback(); // Add sphere of influence, Max-Q and time warp notices
 createCrashEffectFeedback(); // Add crash effect feedback
 createHelpOverlay(); // Add help overlay
 
@@ -788,36 +1703,76 @@ function updateDebugOverlay() {
   content += `Velocity: ${formatVector(debugInfo.velocity)}\n`;
   content += `Speed: ${debugInfo.speed.toFixed(2)}\n`;
   content += `Altitude: ${debugInfo.altitude.toFixed(2)}\n`;
-  content += `Fuel: ${debugInfo.fuel.toFixed(1)}/${
-    rocket.maxFuel
+  content += `Stage: ${debugInfo.stage} (${debugInfo.stageCount} left)\n`;
+  content += `Fuel: ${debugInfo.fuel.toFixed(3)}/${
+    debugInfo.maxFuel
   } (${debugInfo.fuelPercentage.toFixed(1)}%)\n`;
+  content += `Mass: ${debugInfo.mass.toFixed(3)}\n`;
+  content += `Dynamic Pressure: ${debugInfo.dynamicPressure.toFixed(
+    4
+  )}, Mach: ${
+    debugInfo.machNumber === null ? "N/A" : debugInfo.machNumber.toFixed(2)
+  }\n`;
+  content += `Skin Temperature: ${debugInfo.temperature.toFixed(
+    0
+  )}, Heat Flux: ${debugInfo.heatFlux.toFixed(1)}\n`;
+  content += `Throttle: ${(debugInfo.throttle * 100).toFixed(
+    0
+  )}%, Thrust: ${debugInfo.thrustMagnitude.toFixed(3)}\n`;
+  content += `Isp: ${debugInfo.specificImpulse.toFixed(
+    1
+  )}s at ${debugInfo.atmosphericPressure.toFixed(
+    2
+  )} atm, Delta-v: ${debugInfo.deltaV.toFixed(2)}\n`;
+  content += `Vessels: ${vesselManager.vessels.length}\n`;
   content += `In Orbit: ${debugInfo.isInOrbit ? "YES" : "NO"}\n`;
+  content += `Trajectory: ${debugInfo.trajectory || "N/A"}\n`;
   content += `Simulation Started: ${debugInfo.hasStarted ? "YES" : "NO"}\n`;
-  content += `Last Collision: ${debugInfo.lastCollisionTime.toFixed(2)}s ago\n`;
+  content += `Mission Time: ${debugInfo.missionTime.toFixed(2)}s\n`;
+  if (debugInfo.lastImpact) {
+    const { body, time, speed } = debugInfo.lastImpact;
+    content += `Last Impact: ${body} at ${time.toFixed(3)}s, ${speed.toFixed(
+      3
+    )} units/s\n`;
+  }
+  content += `Integrator: ${debugInfo.integrator} (press I to change)\n`;
+
+  // Conservation checks: both should stay constant while coasting
+  if (debugInfo.specificEnergy !== null) {
+    content += `Specific Energy: ${debugInfo.specificEnergy.toFixed(5)}\n`;
+    content += `Angular Momentum: ${debugInfo.angularMomentum.toFixed(5)}\n`;
+  }
+  if (debugInfo.energyDrift !== null) {
+    content += `Energy Drift: ${formatDrift(debugInfo.energyDrift)}\n`;
+    content += `Ang. Momentum Drift: ${formatDrift(
+      debugInfo.angularMomentumDrift
+    )}\n`;
+  } else {
+    content += `Energy Drift: N/A (not coasting)\n`;
+  }
 
   if (debugInfo.isInOrbit) {
     content += `Orbit Period: ${debugInfo.orbitPeriod.toFixed(1)}s\n`;
   }
 
-  // Calculate orbital parameters
-  const closestBody = findClosestBody(rocket.position);
-  if (closestBody) {
-    const G = rocket.G;
-    const M =
-      closestBody.name === "Earth" ? 3 : closestBody.name === "Moon" ? 0.5 : 1;
+  // Calculate orbital parameters relative to the current sphere of influence
+  const soiBody = rocket.getReferenceBody();
+  if (soiBody) {
     const distance = new THREE.Vector3()
       .copy(rocket.position)
-      .sub(closestBody.position)
+      .sub(soiBody.position)
       .length();
 
     // Calculate escape velocity at current altitude
-    const escapeVelocity = Math.sqrt((2 * G * M) / distance);
+    const escapeVelocity = soiBody.getEscapeVelocity(distance);
 
     // Calculate circular orbit velocity at current altitude
-    const circularOrbitVelocity = Math.sqrt((G * M) / distance);
+    const circularOrbitVelocity = soiBody.getCircularVelocity(distance);
 
-    content += `\nOrbital Parameters (${closestBody.name}):\n`;
+    content += `\nOrbital Parameters (${soiBody.name}):\n`;
     content += `Distance: ${distance.toFixed(2)}\n`;
+    content += `Gravitational Parameter (μ): ${soiBody.mu.toFixed(3)}\n`;
+    content += `SOI Radius: ${formatDebugNumber(soiBody.soiRadius)}\n`;
     content += `Escape Velocity: ${escapeVelocity.toFixed(2)}\n`;
     content += `Circular Orbit Velocity: ${circularOrbitVelocity.toFixed(2)}\n`;
     content += `Current Speed: ${debugInfo.speed.toFixed(2)}\n`;
@@ -825,7 +1780,7 @@ function updateDebugOverlay() {
     // Calculate the angle between velocity and position vectors
     const positionVector = new THREE.Vector3()
       .copy(rocket.position)
-      .sub(closestBody.position);
+      .sub(soiBody.position);
     const positionNorm = positionVector.clone().normalize();
     const velocityNorm = new THREE.Vector3().copy(rocket.velocity).normalize();
     const dotProduct = positionNorm.dot(velocityNorm);
@@ -835,6 +1790,34 @@ function updateDebugOverlay() {
     content += `Velocity-Position Angle: ${angle.toFixed(1)}° (ideal: 90°)\n`;
   }
 
+  // Keplerian elements of the current orbit
+  const orbit = rocket.getOrbit();
+  if (orbit) {
+    const { body, elements } = orbit;
+    const toDegrees = 180 / Math.PI;
+
+    content += `\nOrbital Elements (${body.name}):\n`;
+    content += `Semi-major Axis: ${elements.semiMajorAxis.toFixed(3)}\n`;
+    content += `Eccentricity: ${elements.eccentricity.toFixed(4)}\n`;
+    content += `Inclination: ${(elements.inclination * toDegrees).toFixed(
+      2
+    )}°\n`;
+    content += `Asc. Node: ${(
+      elements.longitudeOfAscendingNode * toDegrees
+    ).toFixed(2)}°\n`;
+    content += `Arg. of Periapsis: ${(
+      elements.argumentOfPeriapsis * toDegrees
+    ).toFixed(1)}°\n`;
+    content += `True Anomaly: ${(elements.trueAnomaly * toDegrees).toFixed(
+      1
+    )}°\n`;
+    content += `Apoapsis: ${formatDebugNumber(elements.apoapsis)}\n`;
+    content += `Periapsis: ${elements.periapsis.toFixed(3)}\n`;
+    content += `Period: ${formatDebugNumber(elements.period)}s\n`;
+    content += `Time to Ap: ${formatDebugNumber(elements.timeToApoapsis)}s\n`;
+    content += `Time to Pe: ${formatDebugNumber(elements.timeToPeriapsis)}s\n`;
+  }
+
   debugContent.textContent = content;
 }
 
@@ -843,25 +1826,16 @@ function formatVector(vec) {
   return `[${vec[0].toFixed(1)}, ${vec[1].toFixed(1)}, ${vec[2].toFixed(1)}]`;
 }
 
-// Helper function to find the closest celestial body
-function findClosestBody(position) {
-  let closestBody = null;
-  let minDistance = Infinity;
-
-  if (celestialBodies && celestialBodies.length > 0) {
-    for (const body of celestialBodies) {
-      const distance = new THREE.Vector3()
-        .copy(position)
-        .sub(body.position)
-        .length();
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestBody = body;
-      }
-    }
-  }
+// Helper function to format a relative drift as a signed percentage
+function formatDrift(drift) {
+  const percentage = drift * 100;
+  return `${percentage >= 0 ? "+" : ""}${percentage.toExponential(2)}%`;
+}
 
-  return closestBody;
+// Helper function to format numbers that may be infinite or missing
+function formatDebugNumber(value) {
+  if (value === null) return "N/A";
+  return isFinite(value) ? value.toFixed(2) : "∞";
 }
 
 // Create orbit achieved feedback
@@ -889,7 +1863,8 @@ function createOrbitAchievedFeedback() {
   document.body.appendChild(overlay);
 
   // Add event listener for orbit achieved
-  window.addEventListener("orbitAchieved", () => {
+  window.addEventListener("orbitAchieved", (event) => {
+    if (event.detail.vessel !== rocket) return;
     overlay.style.display = "block";
 
     // Play a success sound
@@ -912,10 +1887,167 @@ function createOrbitAchievedFeedback() {
   return overlay;
 }
 
+// Why time warp was refused or dropped back, by WARP_BLOCKER reason
+const TIME_WARP_MESSAGES = {
+  [WARP_BLOCKER.CRASHED]: "the rocket has crashed",
+  [WARP_BLOCKER.THRUST]: "the engine is firing",
+  [WARP_BLOCKER.ATMOSPHERE]: "in or entering an atmosphere",
+  [WARP_BLOCKER.SURFACE]: "about to reach the surface",
+  [WARP_BLOCKER.SOI_CHANGE]: "sphere of influence change",
+  [WARP_BLOCKER.MANEUVER]: "planned burn coming up",
+  [WARP_BLOCKER.AUTOPILOT]: "ascent autopilot flying",
+  [WARP_BLOCKER.OTHER_VESSEL]:
+    "another rocket is burning, in an atmosphere or changing sphere of influence",
+};
+
+// Explanations for an aborted ascent
+const ASCENT_ABORT_MESSAGES = {
+  [ASCENT_ABORT_REASON.CRASHED]: "crashed",
+  [ASCENT_ABORT_REASON.OUT_OF_FUEL]: "out of fuel",
+  [ASCENT_ABORT_REASON.DISENGAGED]: "disengaged",
+  [ASCENT_ABORT_REASON.LANDED]: "landed",
+  [ASCENT_ABORT_REASON.LEFT_BODY]: "left the body's sphere of influence",
+  [ASCENT_ABORT_REASON.TIMED_OUT]: "timed out",
+};
+
+// Create the notice that flashes up flight events: sphere of influence
+// changes, landings and crashes, docking and vessel notices, time warp
+// limits, transfer plans, ascent and maneuver progress, and Max-Q
+function createFlightEventFeedback() {
+  const notice = document.createElement("div");
+  notice.id = "flight-event-notice";
+  notice.style.position = "absolute";
+  notice.style.top = "20%";
+  notice.style.left = "50%";
+  notice.style.transform = "translate(-50%, -50%)";
+  notice.style.backgroundColor = "rgba(0, 64, 128, 0.7)";
+  notice.style.color = "white";
+  notice.style.padding = "10px 20px";
+  notice.style.borderRadius = "10px";
+  notice.style.fontFamily = "Arial, sans-serif";
+  notice.style.fontSize = "18px";
+  notice.style.display = "none";
+  notice.style.zIndex = "1000";
+  notice.style.pointerEvents = "none";
+
+  document.body.appendChild(notice);
+
+  let hideTimeout = null;
+
+  const showNotice = (text) => {
+    notice.textContent = text;
+    notice.style.display = "block";
+
+    // Hide the notice after 3 seconds
+    clearTimeout(hideTimeout);
+    hideTimeout = setTimeout(() => {
+      notice.style.display = "none";
+    }, 3000);
+  };
+
+  // Add event listener for sphere of influence transitions
+  window.addEventListener("soiChange", (event) => {
+    if (event.detail.vessel !== rocket) return;
+    showNotice(`Entering ${event.detail.to}'s sphere of influence`);
+  });
+
+  // Vessels flying on their own still report how their flight ends
+  window.addEventListener("rocketLanded", (event) => {
+    const { vessel, state, body } = event.detail;
+    if (vessel === rocket) return;
+    const verb = state === LANDING_STATE.SPLASHED ? "splashed down" : "landed";
+    showNotice(`${vessel.name} ${verb} on ${body}`);
+  });
+  window.addEventListener("rocketCrash", (event) => {
+    const { vessel } = event.detail;
+    if (vessel === rocket) return;
+    showNotice(`${vessel.name} crashed`);
+  });
+  window.addEventListener("vesselDocked", (event) => {
+    const { vessel, docked } = event.detail;
+    showNotice(`${vessel.name} docked with ${docked.name}`);
+  });
+  window.addEventListener("vesselUndocked", (event) => {
+    const { vessel, undocked } = event.detail;
+    showNotice(`${undocked.name} undocked from ${vessel.name}`);
+  });
+  window.addEventListener("vesselLaunchRefused", (event) => {
+    showNotice(`Can't launch: ${event.detail.reason}`);
+  });
+
+  // Explain why time warp was refused or dropped back
+  window.addEventListener("timeWarpLimited", (event) => {
+    const { reason, refused } = event.detail;
+    const prefix = refused ? "Can't warp" : "Warp stopped";
+    showNotice(`${prefix}: ${TIME_WARP_MESSAGES[reason]}`);
+  });
+
+  // Report the end of an automated ascent, with how close the orbit came
+  // to the target
+  window.addEventListener("ascentComplete", (event) => {
+    const report = event.detail;
+    const name = ascentAutopilot.rocket.name;
+    if (!report.completed) {
+      showNotice(
+        `${name} ascent aborted: ${ASCENT_ABORT_MESSAGES[report.abortReason]}`
+      );
+      return;
+    }
+
+    showNotice(
+      `${name} ascent complete: Δv ${report.deltaVSpent.toFixed(2)}, ` +
+        `Ap ${formatSignedError(report.apoapsisError)}, ` +
+        `Pe ${formatSignedError(report.periapsisError)}, ` +
+        `Inc ${formatSignedError(report.inclinationError, 1)}°`
+    );
+  });
+
+  // Describe a planned transfer, or why there isn't one
+  window.addEventListener("transferPlanned", (event) => {
+    const { transfer } = event.detail;
+    if (!transfer) {
+      showNotice(
+        "No transfer: get into a closed orbit around Earth or the Moon"
+      );
+      return;
+    }
+
+    const destination =
+      transfer.type === TRANSFER_TYPE.RETURN
+        ? `Return to ${transfer.target.name}`
+        : `Transfer to ${transfer.target.name}`;
+    showNotice(
+      `${destination}: Δv ${Math.abs(transfer.deltaV).toFixed(
+        2
+      )}, phase angle ${transfer.phaseAngle.toFixed(
+        0
+      )}° (now ${transfer.currentPhaseAngle.toFixed(0)}°)`
+    );
+  });
+
+  // Report the end of a planned burn
+  window.addEventListener("maneuverComplete", (event) => {
+    showNotice(`Maneuver complete: Δv ${event.detail.deltaV.toFixed(2)}`);
+  });
+
+  // Mark the moment of peak aerodynamic stress on ascent
+  window.addEventListener("maxQ", (event) => {
+    const { vessel, dynamicPressure, altitude } = event.detail;
+    if (vessel !== rocket) return;
+    showNotice(
+      `Max-Q: ${dynamicPressure.toFixed(3)} at altitude ${altitude.toFixed(2)}`
+    );
+  });
+
+  return notice;
+}
+
 // Create crash effect feedback
 function createCrashEffectFeedback() {
   // Add event listener for crash effect
-  window.addEventListener("rocketCrashEffect", () => {
+  window.addEventListener("rocketCrashEffect", (event) => {
+    if (event.detail.vessel !== rocket) return;
+
     // Create multiple explosion particles for a more dramatic effect
     createExplosionParticles();
 
@@ -1089,15 +2221,54 @@ function createHelpOverlay() {
     <h2 style="text-align: center; margin-top: 0;">Game Controls</h2>
     <p><strong>Arrow Keys:</strong></p>
     <ul>
-      <li>↑ - Apply thrust</li>
-      <li>← → - Rotate rocket</li>
+      <li>↑ - Full thrust while held</li>
+      <li>← → - Pitch rocket</li>
+    </ul>
+    <p><strong>Throttle Controls:</strong></p>
+    <ul>
+      <li><strong>Shift / Ctrl</strong> - Raise / lower throttle</li>
+      <li><strong>Z</strong> - Full throttle</li>
+      <li><strong>X</strong> - Cut throttle</li>
+    </ul>
+    <p><strong>Attitude Controls:</strong></p>
+    <ul>
+      <li><strong>W / S</strong> - Yaw out of the launch plane (plane changes)</li>
+      <li><strong>Q / E</strong> - Roll</li>
+      <li><strong>T</strong> - Toggle SAS</li>
+      <li><strong>P / B</strong> - SAS hold prograde / retrograde</li>
+      <li><strong>N / M</strong> - SAS hold normal / anti-normal</li>
+      <li><strong>J / K</strong> - SAS hold radial out / radial in</li>
+      <li><strong>, / .</strong> - SAS hold toward / away from the target</li>
+      <li><strong>Y</strong> - SAS back to stability</li>
+      <li><strong>G</strong> - Toggle RCS</li>
     </ul>
-    <p><strong>Zoom Controls:</strong></p>
+    <p><strong>View Controls:</strong></p>
     <ul>
       <li><strong>Mouse Wheel</strong> - Zoom in/out</li>
       <li><strong>+</strong> - Zoom in</li>
       <li><strong>-</strong> - Zoom out</li>
-      <li><strong>Z</strong> - Zoom to fit orbit (when in stable orbit)</li>
+      <li><strong>O</strong> - Zoom to fit orbit (when in stable orbit)</li>
+      <li><strong>Drag</strong> - Rotate the view</li>
+      <li><strong>V</strong> - Reset the view</li>
+      <li><strong>U</strong> - Switch between orbital and surface speed</li>
+    </ul>
+    <p><strong>Simulation Speed:</strong></p>
+    <ul>
+      <li><strong>1 / 2 / 3</strong> - 1x / 5x / 100x</li>
+      <li><strong>4 / 5 / 6</strong> - Time warp on rails (1,000x / 10,000x / 100,000x)</li>
+    </ul>
+    <p><strong>Flight Planning:</strong></p>
+    <ul>
+      <li><strong>A</strong> - Engage / disengage the ascent autopilot</li>
+      <li><strong>L</strong> - Plan a transfer to the Moon, or back to Earth</li>
+      <li><strong>Click the predicted path</strong> - Place a maneuver node</li>
+      <li><strong>Delete / Backspace</strong> - Remove the maneuver node</li>
+    </ul>
+    <p><strong>Vessels:</strong></p>
+    <ul>
+      <li><strong>[ / ]</strong> - Control the previous / next rocket</li>
+      <li><strong>\\</strong> - Target the next vessel</li>
+      <li><strong>\`</strong> - Undock</li>
     </ul>
     <p><strong>Keyboard Shortcuts:</strong></p>
     <ul>
@@ -1105,15 +2276,18 @@ function createHelpOverlay() {
       <li><strong>F</strong> - Refill fuel (when out of fuel)</li>
       <li><strong>C</strong> - Recover from crash</li>
       <li><strong>D</strong> - Toggle debug overlay</li>
+      <li><strong>Space</strong> - Separate the spent stage</li>
+      <li><strong>I</strong> - Cycle integrator (Euler / Verlet / RK4)</li>
       <li><strong>H</strong> - Toggle this help screen</li>
     </ul>
     <p><strong>Tips for Achieving Orbit:</strong></p>
     <ul>
       <li>Launch straight up until you reach an altitude of about 3 units</li>
       <li>Then gradually turn to the side to build horizontal velocity</li>
-      <li>For a stable orbit, your velocity should be perpendicular to your position vector</li>
-      <li>Your speed should be between the circular orbit velocity and escape velocity</li>
-      <li>Use the debug overlay (press D) to see these values</li>
+      <li>Watch the apoapsis and periapsis readouts while you burn</li>
+      <li>You are in a stable orbit once your periapsis is above the atmosphere (3 units)</li>
+      <li>Use the debug overlay (press D) to see the full orbital elements</li>
+      <li>To land, touch down below 0.3 units/s vertically and horizontally, within 45° of upright</li>
       <li>Zoom out (- key or mouse wheel) to see your full orbit path</li>
     </ul>
     <p style="text-align: center; margin-top: 20px;"><em>Press H to close this help</em></p>
@@ -1148,6 +2322,20 @@ function createHelpOverlay() {
 // Start animation loop
 animate();
 
+// Keys that set SAS to hold a direction (pressing the active one again
+// returns to stability)
+const SAS_MODE_KEYS = {
+  KeyY: SAS_MODE.STABILITY,
+  KeyP: SAS_MODE.PROGRADE,
+  KeyB: SAS_MODE.RETROGRADE,
+  KeyN: SAS_MODE.NORMAL,
+  KeyM: SAS_MODE.ANTI_NORMAL,
+  KeyJ: SAS_MODE.RADIAL_OUT,
+  KeyK: SAS_MODE.RADIAL_IN,
+  Comma: SAS_MODE.TARGET,
+  Period: SAS_MODE.ANTI_TARGET,
+};
+
 // Add keyboard shortcuts
 window.addEventListener("keydown", (event) => {
   // R key to reset game
@@ -1196,6 +2384,33 @@ window.addEventListener("keydown", (event) => {
     }
   }
 
+  // Space to separate the spent stage
+  if (event.code === "Space") {
+    event.preventDefault();
+    rocket.stage();
+  }
+
+  // T key to toggle SAS, which stops the rocket turning when no rotation
+  // key is held
+  if (event.code === "KeyT") {
+    rocket.toggleSAS();
+  }
+
+  // SAS hold modes
+  if (SAS_MODE_KEYS[event.code]) {
+    rocket.setSASMode(SAS_MODE_KEYS[event.code]);
+  }
+
+  // G key to toggle the RCS thrusters
+  if (event.code === "KeyG") {
+    rocket.toggleRCS();
+  }
+
+  // I key to cycle the numerical integrator
+  if (event.code === "KeyI") {
+    rocket.cycleIntegrator();
+  }
+
   // H key to toggle help overlay
   if (event.code === "KeyH") {
     const helpOverlay = document.getElementById("help-overlay");
@@ -1210,22 +2425,65 @@ window.addEventListener("keydown", (event) => {
     event.code === "NumpadAdd" ||
     (event.code === "Equal" && !event.shiftKey)
   ) {
-    const newZ = camera.position.z - zoomSpeed;
-    camera.position.z = Math.max(minZoom, newZ);
+    const newDistance = cameraView.radius - zoomSpeed;
+    cameraView.radius = Math.max(minZoom, newDistance);
+    updateCameraPosition();
     updateZoomIndicator();
   }
 
   // - key to zoom out (NumpadSubtract or Minus)
   if (event.code === "NumpadSubtract" || event.code === "Minus") {
-    const newZ = camera.position.z + zoomSpeed;
-    camera.position.z = Math.min(maxZoom, newZ);
+    const newDistance = cameraView.radius + zoomSpeed;
+    cameraView.radius = Math.min(maxZoom, newDistance);
+    updateCameraPosition();
     updateZoomIndicator();
   }
 
-  // Z key to zoom to fit orbit
-  if (event.code === "KeyZ") {
+  // O key to zoom to fit orbit
+  if (event.code === "KeyO") {
     zoomToFitOrbit();
   }
+
+  // V key to reset the viewing angle
+  if (event.code === "KeyV") {
+    resetCameraView();
+  }
+
+  // U key to switch the speed readout between orbital and surface speed
+  if (event.code === "KeyU") {
+    toggleSpeedMode();
+  }
+
+  // A key to engage or disengage the ascent autopilot
+  if (event.code === "KeyA") {
+    toggleAscentAutopilot();
+  }
+
+  // L key to plan a transfer to the Moon, or back to Earth
+  if (event.code === "KeyL") {
+    planTransfer();
+  }
+
+  // [ and ] to take control of the previous or next rocket
+  if (event.code === "BracketLeft") {
+    setActiveVessel(vesselManager.getNextVessel(-1));
+  }
+  if (event.code === "BracketRight") {
+    setActiveVessel(vesselManager.getNextVessel(1));
+  }
+
+  // \ to target the next vessel, ` to undock
+  if (event.code === "Backslash") {
+    cycleTarget();
+  }
+  if (event.code === "Backquote") {
+    undockVessel();
+  }
+
+  // Delete or Backspace to remove the maneuver node
+  if (event.code === "Delete" || event.code === "Backspace") {
+    removeManeuverNode();
+  }
 });
 
 // Function to zoom out to fit the entire orbit
@@ -1233,26 +2491,24 @@ function zoomToFitOrbit() {
   // Only zoom to fit if in orbit
   if (!rocket.isInStableOrbit()) return;
 
-  // Find the closest celestial body
-  const closestBody = findClosestBody(rocket.position);
-  if (!closestBody) return;
+  // Fit the orbit around the body whose sphere of influence we are in
+  const orbit = rocket.getOrbit();
+  if (!orbit) return;
 
-  // Calculate the distance from the body to the rocket
-  const distance = new THREE.Vector3()
-    .copy(rocket.position)
-    .sub(closestBody.position)
-    .length();
+  // The camera looks at the origin, so include the orbited body's offset
+  // from it, plus the orbit's furthest point from the body
+  const distance = orbit.body.position.length() + orbit.elements.apoapsis;
 
   // Set camera position to see the entire orbit
   // Add a margin to ensure the entire orbit is visible
   const orbitSize = distance * 1.2;
 
-  // Calculate new zoom level (camera.position.z)
+  // Calculate new zoom level (camera distance)
   // We want to ensure the orbit is fully visible
   const newZoom = Math.max(orbitSize, minZoom);
 
   // Apply zoom with smooth transition
-  const startZoom = camera.position.z;
+  const startZoom = cameraView.radius;
   const zoomDifference = newZoom - startZoom;
   const zoomDuration = 1.0; // seconds
   let zoomTimer = 0;
@@ -1266,7 +2522,8 @@ function zoomToFitOrbit() {
     const easedProgress = 1 - Math.pow(1 - progress, 3); // Cubic ease out
 
     // Update camera position
-    camera.position.z = startZoom + zoomDifference * easedProgress;
+    cameraView.radius = startZoom + zoomDifference * easedProgress;
+    updateCameraPosition();
 
     // Update zoom indicator
     updateZoomIndicator();
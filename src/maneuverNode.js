@@ -0,0 +1,240 @@
+import * as THREE from "three";
+import {
+  MANEUVER_DIRECTION,
+  getManeuverFrame,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+import { createScreenSprite } from "./sprites.js";
+
+// A planned burn at a moment on the rocket's orbit around body: a change in
+// velocity, given in the orbit's own directions there. When the countdown to
+// the start of the burn runs out the burn is fixed in space, and from then
+// on the engine's push is counted against it until it is done. While the
+// active stage can't fire there is no countdown, and the burn waits.
+export class ManeuverNode {
+  constructor(body, time) {
+    this.body = body;
+    this.time = time; // Mission time of the middle of the burn
+    this.deltaV = {
+      [MANEUVER_DIRECTION.PROGRADE]: 0,
+      [MANEUVER_DIRECTION.NORMAL]: 0,
+      [MANEUVER_DIRECTION.RADIAL]: 0,
+    };
+
+    // Body a planned transfer aims for, whose closest approach is shown
+    this.target = null;
+
+    // Set once the burn starts
+    this.burnVector = null;
+    this.deliveredDeltaV = new THREE.Vector3();
+  }
+
+  getDeltaV() {
+    return Math.hypot(
+      this.deltaV[MANEUVER_DIRECTION.PROGRADE],
+      this.deltaV[MANEUVER_DIRECTION.NORMAL],
+      this.deltaV[MANEUVER_DIRECTION.RADIAL]
+    );
+  }
+
+  // Change the planned burn along one direction. It is fixed once started.
+  adjustDeltaV(direction, amount) {
+    if (this.isExecuting()) return;
+    this.deltaV[direction] += amount;
+  }
+
+  isExecuting() {
+    return this.burnVector !== null;
+  }
+
+  // The rocket's position and velocity relative to the body when it reaches
+  // the node, coasting from its current state; null if it isn't coasting
+  // around the node's body
+  getStateAtNode(rocket) {
+    const state = rocket.getRelativeState();
+    if (!state || rocket.getReferenceBody() !== this.body) return null;
+
+    return propagateKeplerOrbit(
+      state.position,
+      state.velocity,
+      this.body.mu,
+      Math.max(0, this.time - rocket.missionTime)
+    );
+  }
+
+  // The planned burn as a world-space velocity change, for a state at the
+  // node
+  getBurnVector(state) {
+    const frame = getManeuverFrame(state.position, state.velocity);
+    const burn = new THREE.Vector3();
+    for (const direction of Object.values(MANEUVER_DIRECTION)) {
+      burn.addScaledVector(frame[direction], this.deltaV[direction]);
+    }
+    return burn;
+  }
+
+  getBurnTime(rocket) {
+    return rocket.getBurnTime(this.getDeltaV());
+  }
+
+  // Whether the active stage can give the burn at all (it takes forever
+  // with a dry tank or no engine)
+  canBurn(rocket) {
+    return isFinite(this.getBurnTime(rocket));
+  }
+
+  // Mission time to start burning, so the burn is centered on the node
+  getBurnStartTime(rocket) {
+    return this.time - this.getBurnTime(rocket) / 2;
+  }
+
+  // Delta-v still to give: all of it before the burn starts, then what is
+  // left of the fixed burn
+  getRemainingDeltaV() {
+    if (!this.isExecuting()) return this.getDeltaV();
+    return this.burnVector.clone().sub(this.deliveredDeltaV).length();
+  }
+
+  // Follow the rocket through the burn after deltaTime of flight: fix the
+  // burn once its start time comes, if the rocket can make it, then count
+  // the engine's push. Returns true once the push along the burn has
+  // reached its full size.
+  update(rocket, deltaTime) {
+    if (!this.isExecuting()) {
+      if (
+        !this.canBurn(rocket) ||
+        rocket.missionTime < this.getBurnStartTime(rocket)
+      ) {
+        return false;
+      }
+
+      const state = this.getStateAtNode(rocket);
+      if (!state) return false;
+      this.burnVector = this.getBurnVector(state);
+    }
+
+    if (rocket.thrustMagnitude > 0) {
+      this.deliveredDeltaV.addScaledVector(
+        rocket.thrustDirection,
+        (rocket.thrustMagnitude / rocket.mass) * deltaTime
+      );
+    }
+
+    return (
+      this.deliveredDeltaV.dot(this.burnVector) >= this.burnVector.lengthSq()
+    );
+  }
+}
+
+// Handles for each direction and its opposite, in the usual navball colors
+const HANDLES = [
+  { direction: MANEUVER_DIRECTION.PROGRADE, sign: 1, color: "#ffdd00" },
+  { direction: MANEUVER_DIRECTION.PROGRADE, sign: -1, color: "#ffdd00" },
+  { direction: MANEUVER_DIRECTION.NORMAL, sign: 1, color: "#cc44ff" },
+  { direction: MANEUVER_DIRECTION.NORMAL, sign: -1, color: "#cc44ff" },
+  { direction: MANEUVER_DIRECTION.RADIAL, sign: 1, color: "#00ccff" },
+  { direction: MANEUVER_DIRECTION.RADIAL, sign: -1, color: "#00ccff" },
+];
+
+// Handle distance from the node, as a fraction of the camera's distance, so
+// they keep their spacing on screen at any zoom
+const HANDLE_OFFSET = 0.04;
+
+// How close (in pixels) a pointer must be to grab a handle, and the
+// delta-v added per pixel dragged outwards
+const HANDLE_PICK_RADIUS = 12;
+const DELTA_V_PER_PIXEL = 0.002;
+
+// The node's marker and its drag handles: one pair per direction, on either
+// side of the node. Dragging a handle away from the node adds delta-v that
+// way; dragging it in takes delta-v away.
+export class ManeuverNodeHandles {
+  constructor() {
+    this.nodeMarker = createHandleSprite("#ffffff", 0.03);
+    this.handles = HANDLES.map((handle) => ({
+      ...handle,
+      sprite: createHandleSprite(handle.color, 0.02),
+    }));
+    this.hide();
+  }
+
+  addToScene(scene) {
+    scene.add(this.nodeMarker);
+    for (const { sprite } of this.handles) {
+      scene.add(sprite);
+    }
+  }
+
+  // Put the marker at position and the handles around it along the
+  // node's directions
+  show(position, frame, camera) {
+    const offset = camera.position.distanceTo(position) * HANDLE_OFFSET;
+
+    this.nodeMarker.position.copy(position);
+    this.nodeMarker.visible = true;
+    for (const { direction, sign, sprite } of this.handles) {
+      sprite.position
+        .copy(position)
+        .addScaledVector(frame[direction], sign * offset);
+      sprite.visible = true;
+    }
+  }
+
+  hide() {
+    this.nodeMarker.visible = false;
+    for (const { sprite } of this.handles) {
+      sprite.visible = false;
+    }
+  }
+
+  // The handle drawn at screen point (x, y), or null
+  pick(x, y, camera, width, height) {
+    if (!this.nodeMarker.visible) return null;
+
+    let closest = null;
+    let closestDistance = HANDLE_PICK_RADIUS;
+    for (const handle of this.handles) {
+      const point = toScreen(handle.sprite.position, camera, width, height);
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance < closestDistance) {
+        closest = handle;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  // Delta-v to add along the handle's direction for a drag of (dx, dy)
+  // pixels: the part of the drag pointing away from the node on screen
+  getDragDeltaV(handle, dx, dy, camera, width, height) {
+    const node = toScreen(this.nodeMarker.position, camera, width, height);
+    const point = toScreen(handle.sprite.position, camera, width, height);
+    const outward = new THREE.Vector2(point.x - node.x, point.y - node.y);
+    if (outward.lengthSq() < 1e-6) return 0;
+
+    outward.normalize();
+    return (dx * outward.x + dy * outward.y) * DELTA_V_PER_PIXEL * handle.sign;
+  }
+}
+
+// A world position in pixels from the top left of a width x height view
+export function toScreen(position, camera, width, height) {
+  const projected = position.clone().project(camera);
+  return new THREE.Vector2(
+    ((projected.x + 1) / 2) * width,
+    ((1 - projected.y) / 2) * height
+  );
+}
+
+// A round dot that keeps the same size on screen at any zoom
+function createHandleSprite(color, size) {
+  const sprite = createScreenSprite(32, 32, (context) => {
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(16, 16, 12, 0, Math.PI * 2);
+    context.fill();
+  });
+  sprite.scale.set(size, size, 1);
+  sprite.renderOrder = 2;
+  return sprite;
+}
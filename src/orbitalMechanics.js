@@ -0,0 +1,470 @@
+import * as THREE from "three";
+
+// Orbital mechanics helpers.
+// Everything here works on a position and velocity relative to the body being
+// orbited, in game units, together with that body's gravitational parameter
+// (mu = G * M). The XY plane is the reference plane and +Z is its normal.
+
+const TWO_PI = Math.PI * 2;
+
+// Below this eccentricity an orbit is treated as circular
+const CIRCULAR_TOLERANCE = 1e-6;
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Trajectory classifications
+export const TRAJECTORY = {
+  ORBITING: "orbiting",
+  SUBORBITAL: "suborbital",
+  ESCAPE: "escape",
+  IMPACT: "impact",
+};
+
+// Wrap an angle into the range [0, 2π)
+export function normalizeAngle(angle) {
+  const wrapped = angle % TWO_PI;
+  return wrapped < 0 ? wrapped + TWO_PI : wrapped;
+}
+
+// Calculate the Keplerian elements of the conic through the given state.
+// Apoapsis and periapsis are distances from the body's center; times are in
+// seconds. Open (parabolic or hyperbolic) trajectories have an infinite
+// apoapsis and period, and a null time to apoapsis.
+export function computeOrbitalElements(relativePosition, relativeVelocity, mu) {
+  const r = relativePosition.length();
+  const speedSquared = relativeVelocity.lengthSq();
+  const rDotV = relativePosition.dot(relativeVelocity);
+  const radialVelocity = rDotV / r;
+
+  // Specific angular momentum h = r × v
+  const angularMomentum = new THREE.Vector3().crossVectors(
+    relativePosition,
+    relativeVelocity
+  );
+  const h = angularMomentum.length();
+
+  // Eccentricity vector e = ((v² - μ/r) r - (r·v) v) / μ
+  const eccentricityVector = relativePosition
+    .clone()
+    .multiplyScalar(speedSquared - mu / r)
+    .sub(relativeVelocity.clone().multiplyScalar(rDotV))
+    .divideScalar(mu);
+  const eccentricity = eccentricityVector.length();
+
+  // Specific orbital energy ε = v²/2 - μ/r, and a = -μ / 2ε
+  const specificEnergy = speedSquared / 2 - mu / r;
+  const semiMajorAxis = -mu / (2 * specificEnergy);
+  const isClosed = eccentricity < 1 && specificEnergy < 0;
+
+  // Inclination relative to the XY plane
+  const inclination = h > 0 ? Math.acos(angularMomentum.z / h) : 0;
+
+  // Node vector n = k × h points at the ascending node
+  const nodeVector = new THREE.Vector3(
+    -angularMomentum.y,
+    angularMomentum.x,
+    0
+  );
+  const nodeLength = nodeVector.length();
+  const isEquatorial = nodeLength < CIRCULAR_TOLERANCE * Math.max(h, 1);
+  const longitudeOfAscendingNode = isEquatorial
+    ? 0
+    : normalizeAngle(Math.atan2(nodeVector.y, nodeVector.x));
+
+  // Argument of periapsis, measured from the ascending node (or from +X for
+  // orbits lying in the XY plane)
+  let argumentOfPeriapsis = 0;
+  if (eccentricity > CIRCULAR_TOLERANCE) {
+    if (isEquatorial) {
+      argumentOfPeriapsis = Math.atan2(
+        eccentricityVector.y,
+        eccentricityVector.x
+      );
+      if (angularMomentum.z < 0) argumentOfPeriapsis = -argumentOfPeriapsis;
+    } else {
+      argumentOfPeriapsis = Math.acos(
+        THREE.MathUtils.clamp(
+          nodeVector.dot(eccentricityVector) / (nodeLength * eccentricity),
+          -1,
+          1
+        )
+      );
+      if (eccentricityVector.z < 0) {
+        argumentOfPeriapsis = TWO_PI - argumentOfPeriapsis;
+      }
+    }
+    argumentOfPeriapsis = normalizeAngle(argumentOfPeriapsis);
+  }
+
+  // True anomaly. For circular orbits there is no periapsis, so measure from
+  // the same reference direction used for the argument of periapsis.
+  let trueAnomaly;
+  if (eccentricity > CIRCULAR_TOLERANCE) {
+    trueAnomaly = Math.acos(
+      THREE.MathUtils.clamp(
+        eccentricityVector.dot(relativePosition) / (eccentricity * r),
+        -1,
+        1
+      )
+    );
+    if (radialVelocity < 0) trueAnomaly = TWO_PI - trueAnomaly;
+  } else if (isEquatorial) {
+    trueAnomaly = Math.atan2(relativePosition.y, relativePosition.x);
+    if (angularMomentum.z < 0) trueAnomaly = -trueAnomaly;
+  } else {
+    trueAnomaly = Math.acos(
+      THREE.MathUtils.clamp(
+        nodeVector.dot(relativePosition) / (nodeLength * r),
+        -1,
+        1
+      )
+    );
+    if (relativePosition.z < 0) trueAnomaly = TWO_PI - trueAnomaly;
+  }
+  trueAnomaly = normalizeAngle(trueAnomaly);
+
+  // Periapsis from the semi-latus rectum works for every conic
+  const semiLatusRectum = (h * h) / mu;
+  const periapsis = semiLatusRectum / (1 + eccentricity);
+  const apoapsis = isClosed ? semiMajorAxis * (1 + eccentricity) : Infinity;
+
+  let period = Infinity;
+  let timeToPeriapsis = null;
+  let timeToApoapsis = null;
+
+  if (isClosed) {
+    const meanMotion = Math.sqrt(mu / Math.pow(semiMajorAxis, 3));
+    period = TWO_PI / meanMotion;
+
+    // True anomaly -> eccentric anomaly -> mean anomaly
+    const eccentricAnomaly =
+      2 *
+      Math.atan2(
+        Math.sqrt(1 - eccentricity) * Math.sin(trueAnomaly / 2),
+        Math.sqrt(1 + eccentricity) * Math.cos(trueAnomaly / 2)
+      );
+    const meanAnomaly = normalizeAngle(
+      eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly)
+    );
+
+    timeToPeriapsis = normalizeAngle(TWO_PI - meanAnomaly) / meanMotion;
+    timeToApoapsis = normalizeAngle(Math.PI - meanAnomaly) / meanMotion;
+  } else if (eccentricity > 1 && specificEnergy > 0) {
+    // Hyperbolic anomaly from the signed true anomaly; the periapsis only
+    // lies ahead while the vessel is still inbound
+    const signedTrueAnomaly =
+      trueAnomaly > Math.PI ? trueAnomaly - TWO_PI : trueAnomaly;
+    const hyperbolicAnomaly =
+      2 *
+      Math.atanh(
+        Math.sqrt((eccentricity - 1) / (eccentricity + 1)) *
+          Math.tan(signedTrueAnomaly / 2)
+      );
+    const meanMotion = Math.sqrt(mu / Math.pow(-semiMajorAxis, 3));
+    const meanAnomaly =
+      eccentricity * Math.sinh(hyperbolicAnomaly) - hyperbolicAnomaly;
+
+    if (meanAnomaly < 0) {
+      timeToPeriapsis = -meanAnomaly / meanMotion;
+    }
+  }
+
+  return {
+    semiMajorAxis,
+    eccentricity,
+    inclination,
+    longitudeOfAscendingNode,
+    argumentOfPeriapsis,
+    trueAnomaly,
+    apoapsis,
+    periapsis,
+    period,
+    timeToApoapsis,
+    timeToPeriapsis,
+    specificEnergy,
+    angularMomentum: h,
+    radialVelocity,
+    isClosed,
+  };
+}
+
+// Classify the trajectory described by a set of elements. safeRadius is the
+// lowest periapsis (from the body's center) at which an orbit does not decay,
+// e.g. the top of the atmosphere.
+export function classifyTrajectory(
+  elements,
+  bodyRadius,
+  safeRadius = bodyRadius
+) {
+  const { isClosed, periapsis, radialVelocity } = elements;
+
+  // Falling towards a periapsis that lies below the surface
+  const isImpacting = periapsis < bodyRadius && radialVelocity < 0;
+
+  if (isClosed) {
+    if (periapsis > safeRadius) return TRAJECTORY.ORBITING;
+    return isImpacting ? TRAJECTORY.IMPACT : TRAJECTORY.SUBORBITAL;
+  }
+
+  return isImpacting ? TRAJECTORY.IMPACT : TRAJECTORY.ESCAPE;
+}
+
+// Directions of the orbit at a point, that burns are planned in and SAS
+// holds
+export const MANEUVER_DIRECTION = {
+  PROGRADE: "prograde",
+  NORMAL: "normal",
+  RADIAL: "radial",
+};
+
+// Unit prograde (along the velocity), normal (along the orbit's angular
+// momentum) and radial (outward) directions for a state relative to a body
+export function getManeuverFrame(position, velocity) {
+  const prograde = velocity.clone().normalize();
+  const normal = position.clone().cross(velocity).normalize();
+  const radial = prograde.clone().cross(normal);
+  return {
+    [MANEUVER_DIRECTION.PROGRADE]: prograde,
+    [MANEUVER_DIRECTION.NORMAL]: normal,
+    [MANEUVER_DIRECTION.RADIAL]: radial,
+  };
+}
+
+// Time since periapsis at a true anomaly on the conic of a set of elements:
+// within half a period either side on a closed orbit, negative before
+// periapsis on an open path
+function getTimeSincePeriapsis(trueAnomaly, elements, mu) {
+  const { semiMajorAxis: a, eccentricity: e } = elements;
+
+  if (e < 1) {
+    const eccentricAnomaly =
+      2 *
+      Math.atan2(
+        Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+        Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2)
+      );
+    return (
+      (eccentricAnomaly - e * Math.sin(eccentricAnomaly)) /
+      Math.sqrt(mu / Math.pow(a, 3))
+    );
+  }
+
+  const signedTrueAnomaly =
+    trueAnomaly > Math.PI ? trueAnomaly - TWO_PI : trueAnomaly;
+  const hyperbolicAnomaly =
+    2 *
+    Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(signedTrueAnomaly / 2));
+  return (
+    (e * Math.sinh(hyperbolicAnomaly) - hyperbolicAnomaly) /
+    Math.sqrt(mu / Math.pow(-a, 3))
+  );
+}
+
+// Time until a state coasting along its conic is next at the given
+// distance from the body's center, or null if the conic never gets there
+// (or, on an open path, never again)
+export function getTimeToRadius(
+  relativePosition,
+  relativeVelocity,
+  mu,
+  radius
+) {
+  if (!isFinite(radius)) return null;
+
+  const elements = computeOrbitalElements(
+    relativePosition,
+    relativeVelocity,
+    mu
+  );
+  const { eccentricity, periapsis, apoapsis, period, isClosed } = elements;
+  if (
+    eccentricity < CIRCULAR_TOLERANCE ||
+    radius < periapsis ||
+    radius > apoapsis
+  ) {
+    return null;
+  }
+
+  // The two true anomalies at that distance, either side of periapsis
+  const semiLatusRectum = periapsis * (1 + eccentricity);
+  const crossing = Math.acos(
+    THREE.MathUtils.clamp((semiLatusRectum / radius - 1) / eccentricity, -1, 1)
+  );
+  const now = getTimeSincePeriapsis(elements.trueAnomaly, elements, mu);
+  const times = [crossing, -crossing].map(
+    (anomaly) => getTimeSincePeriapsis(anomaly, elements, mu) - now
+  );
+
+  if (isClosed) {
+    return Math.min(
+      ...times.map((time) => ((time % period) + period) % period)
+    );
+  }
+  const ahead = times.filter((time) => time > 0);
+  return ahead.length > 0 ? Math.min(...ahead) : null;
+}
+
+// Solve Kepler's equation M = E - e sin E for the eccentric anomaly E
+// (elliptical orbits only), using Newton's method
+export function solveKeplerEquation(meanAnomaly, eccentricity) {
+  const M = normalizeAngle(meanAnomaly);
+  let E = eccentricity < 0.8 ? M : Math.PI;
+
+  for (let i = 0; i < 30; i++) {
+    const delta =
+      (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  return E;
+}
+
+// Rotate a vector from the perifocal frame (periapsis along +X, orbit normal
+// along +Z) into the reference frame
+function perifocalToReference(
+  vector,
+  inclination,
+  longitudeOfAscendingNode,
+  argumentOfPeriapsis
+) {
+  return vector
+    .applyAxisAngle(Z_AXIS, argumentOfPeriapsis)
+    .applyAxisAngle(X_AXIS, inclination)
+    .applyAxisAngle(Z_AXIS, longitudeOfAscendingNode);
+}
+
+// Calculate the position and velocity, relative to the orbited body, of an
+// elliptical orbit at a given mean anomaly. Angles are in radians.
+export function stateFromOrbitalElements(elements, mu) {
+  const {
+    semiMajorAxis: a,
+    eccentricity: e,
+    inclination = 0,
+    longitudeOfAscendingNode = 0,
+    argumentOfPeriapsis = 0,
+    meanAnomaly,
+  } = elements;
+
+  const E = solveKeplerEquation(meanAnomaly, e);
+  const trueAnomaly =
+    2 *
+    Math.atan2(
+      Math.sqrt(1 + e) * Math.sin(E / 2),
+      Math.sqrt(1 - e) * Math.cos(E / 2)
+    );
+  const r = a * (1 - e * Math.cos(E));
+
+  // Position and velocity in the perifocal frame
+  const semiLatusRectum = a * (1 - e * e);
+  const speedFactor = Math.sqrt(mu / semiLatusRectum);
+  const position = new THREE.Vector3(
+    r * Math.cos(trueAnomaly),
+    r * Math.sin(trueAnomaly),
+    0
+  );
+  const velocity = new THREE.Vector3(
+    -speedFactor * Math.sin(trueAnomaly),
+    speedFactor * (e + Math.cos(trueAnomaly)),
+    0
+  );
+
+  perifocalToReference(
+    position,
+    inclination,
+    longitudeOfAscendingNode,
+    argumentOfPeriapsis
+  );
+  perifocalToReference(
+    velocity,
+    inclination,
+    longitudeOfAscendingNode,
+    argumentOfPeriapsis
+  );
+
+  return { position, velocity, trueAnomaly };
+}
+
+// Stumpff functions C(z) and S(z) of the universal-variable formulation,
+// with series expansions near z = 0 (parabolic paths)
+function stumpffC(z) {
+  if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24;
+}
+
+function stumpffS(z) {
+  if (z > 1e-6) {
+    const s = Math.sqrt(z);
+    return (s - Math.sin(s)) / (s * s * s);
+  }
+  if (z < -1e-6) {
+    const s = Math.sqrt(-z);
+    return (Math.sinh(s) - s) / (s * s * s);
+  }
+  return 1 / 6 - z / 120;
+}
+
+// Move a state along its conic for deltaTime seconds. Uses the universal
+// anomaly χ, so elliptical, parabolic and hyperbolic paths are handled
+// alike. Returns the new position and velocity relative to the body.
+export function propagateKeplerOrbit(
+  relativePosition,
+  relativeVelocity,
+  mu,
+  deltaTime
+) {
+  const r0 = relativePosition.length();
+  const radialVelocity = relativePosition.dot(relativeVelocity) / r0;
+  const alpha = 2 / r0 - relativeVelocity.lengthSq() / mu; // 1 / a
+  const sqrtMu = Math.sqrt(mu);
+
+  // Whole revolutions of a closed orbit change nothing, and dropping them
+  // keeps the iteration well conditioned for long warps
+  let t = deltaTime;
+  if (alpha > 0) {
+    t %= TWO_PI / Math.sqrt(mu * alpha * alpha * alpha);
+  }
+
+  // Solve the universal Kepler equation for χ with Newton's method
+  let chi = sqrtMu * Math.abs(alpha) * t;
+  for (let i = 0; i < 50; i++) {
+    const z = alpha * chi * chi;
+    const C = stumpffC(z);
+    const S = stumpffS(z);
+    const F =
+      ((r0 * radialVelocity) / sqrtMu) * chi * chi * C +
+      (1 - alpha * r0) * chi * chi * chi * S +
+      r0 * chi -
+      sqrtMu * t;
+    const dF =
+      ((r0 * radialVelocity) / sqrtMu) * chi * (1 - z * S) +
+      (1 - alpha * r0) * chi * chi * C +
+      r0;
+    const delta = F / dF;
+    chi -= delta;
+    if (Math.abs(delta) < 1e-10 * Math.max(1, Math.abs(chi))) break;
+  }
+
+  // Lagrange coefficients f, g and their derivatives
+  const z = alpha * chi * chi;
+  const C = stumpffC(z);
+  const S = stumpffS(z);
+  const f = 1 - ((chi * chi) / r0) * C;
+  const g = t - ((chi * chi * chi) / sqrtMu) * S;
+
+  const position = relativePosition
+    .clone()
+    .multiplyScalar(f)
+    .addScaledVector(relativeVelocity, g);
+  const r = position.length();
+  const fDot = (sqrtMu / (r * r0)) * (alpha * chi * chi * chi * S - chi);
+  const gDot = 1 - ((chi * chi) / r) * C;
+  const velocity = relativePosition
+    .clone()
+    .multiplyScalar(fDot)
+    .addScaledVector(relativeVelocity, gDot);
+
+  return { position, velocity };
+}
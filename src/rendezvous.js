@@ -0,0 +1,100 @@
+import {
+  computeOrbitalElements,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+
+// The search for the closest approach samples this many times over its
+// window, then narrows in on the closest sample this many times
+const CLOSEST_APPROACH_SAMPLES = 90;
+const REFINE_ITERATIONS = 30;
+
+// How far ahead to look on an open trajectory, which has no orbit to span
+const OPEN_SEARCH_TIME = 300;
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Where the target is from the vessel right now: the distance between
+// them, their relative speed, and how fast they are closing (negative
+// while drawing apart)
+export function getRelativeMotion(vessel, target) {
+  const offset = target.position.clone().sub(vessel.position);
+  const relativeVelocity = target.velocity.clone().sub(vessel.velocity);
+  const distance = offset.length();
+
+  return {
+    distance,
+    relativeSpeed: relativeVelocity.length(),
+    closingSpeed: distance > 0 ? -offset.dot(relativeVelocity) / distance : 0,
+  };
+}
+
+// The closest the vessel comes to the target over one orbit of the vessel,
+// both coasting around the same body: { distance, time, relativeSpeed },
+// time being from now. Null unless both are coasting around the same body.
+export function findClosestApproach(vessel, target) {
+  const body = vessel.referenceBody;
+  const vesselState = vessel.getRelativeState();
+  const targetState = target.getRelativeState();
+  if (!vesselState || !targetState || target.referenceBody !== body) {
+    return null;
+  }
+
+  const { isClosed, period } = computeOrbitalElements(
+    vesselState.position,
+    vesselState.velocity,
+    body.mu
+  );
+  const searchTime = isClosed ? period : OPEN_SEARCH_TIME;
+
+  // Both states after time, and the distance between them then
+  const statesAt = (time) => ({
+    vessel: propagateKeplerOrbit(
+      vesselState.position,
+      vesselState.velocity,
+      body.mu,
+      time
+    ),
+    target: propagateKeplerOrbit(
+      targetState.position,
+      targetState.velocity,
+      body.mu,
+      time
+    ),
+  });
+  const distanceAt = (time) => {
+    const states = statesAt(time);
+    return states.vessel.position.distanceTo(states.target.position);
+  };
+
+  const step = searchTime / CLOSEST_APPROACH_SAMPLES;
+  let bestTime = 0;
+  let bestDistance = distanceAt(0);
+  for (let i = 1; i <= CLOSEST_APPROACH_SAMPLES; i++) {
+    const distance = distanceAt(i * step);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestTime = i * step;
+    }
+  }
+
+  // Golden-section search between the samples either side of the closest
+  let low = Math.max(0, bestTime - step);
+  let high = Math.min(searchTime, bestTime + step);
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const early = high - GOLDEN_RATIO * (high - low);
+    const late = low + GOLDEN_RATIO * (high - low);
+    if (distanceAt(early) < distanceAt(late)) {
+      high = late;
+    } else {
+      low = early;
+    }
+  }
+
+  const time = (low + high) / 2;
+  const states = statesAt(time);
+  return {
+    distance: states.vessel.position.distanceTo(states.target.position),
+    time,
+    relativeSpeed: states.vessel.velocity.distanceTo(states.target.velocity),
+  };
+}
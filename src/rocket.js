@@ -1,8 +1,82 @@
 import * as THREE from "three";
+import {
+  computeOrbitalElements,
+  classifyTrajectory,
+  propagateKeplerOrbit,
+  TRAJECTORY,
+} from "./orbitalMechanics.js";
+import { INTEGRATORS, DEFAULT_INTEGRATOR } from "./integrators.js";
+import { findSphereOfInfluence } from "./celestialBody.js";
+import { createDefaultStages } from "./stage.js";
+import { Debris } from "./debris.js";
+import {
+  ReactionWheels,
+  RCSThrusters,
+  SAS_MODE,
+  getSASDirection,
+  isTargetHold,
+} from "./attitudeControl.js";
+import { DockingPort } from "./docking.js";
+import {
+  LANDING_STATE,
+  measureSurfaceContact,
+  isSafeLanding,
+  gradeLanding,
+} from "./landing.js";
+
+// Axes of the rocket's body frame. The nose points along +Y, which is also
+// the roll axis; at launch +Z (the pitch axis) faces the camera, so pitching
+// turns the nose within the screen plane and yawing, about +X, turns it out
+// of that plane.
+const NOSE_AXIS = new THREE.Vector3(0, 1, 0);
+const YAW_AXIS = new THREE.Vector3(1, 0, 0);
+const PITCH_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Max-Q is marked once dynamic pressure falls below this fraction of its
+// peak, provided the peak was above the minimum (so a hop off the pad
+// doesn't count)
+const MAX_Q_DROP = 0.9;
+const MIN_MAX_Q = 0.001;
+
+// Why the rocket was destroyed, sent with the "rocketCrash" event
+export const CRASH_CAUSE = {
+  IMPACT: "impact",
+  OVERHEAT: "overheat",
+};
+
+// Thermal model. Aerodynamic heating follows the Sutton-Graves form
+// q = k * sqrt(ρ) * v³; the skin sheds heat in proportion to how far it is
+// above the ambient temperature.
+const HEATING_COEFFICIENT = 560;
+const COOLING_RATE = 0.2; // Per second
+const AMBIENT_TEMPERATURE = 300;
+// Heating at which the plasma glow is fully visible
+const FULL_PLASMA_HEAT_FLUX = 150;
+
+// Distance from the rocket's position to a surface it is touching
+const COLLISION_RADIUS = 0.1;
+
+// SAS turns toward a held direction no faster than this many radians per
+// second per radian still to go, and brakes at this fraction of the
+// deceleration available, as the torque can change during the turn
+const SAS_TURN_GAIN = 2;
+const SAS_BRAKING_MARGIN = 0.5;
+
+// Speed at which a spent stage is pushed away from the rocket
+const STAGE_SEPARATION_SPEED = 0.02;
+
+// Normal of the reference plane, used as "north" for the attitude readout
+export const REFERENCE_NORMAL = new THREE.Vector3(0, 0, 1);
 
 export class Rocket {
-  constructor(celestialBodies = []) {
+  constructor(celestialBodies = [], options = {}) {
     this.celestialBodies = celestialBodies;
+    this.name = options.name || "Rocket";
+    this.integrator = DEFAULT_INTEGRATOR; // Kept across resets
+
+    // Latitude and longitude (degrees) of the launch pad on the primary
+    // body. Without one, the pad is straight "up" from the body's centre.
+    this.launchSite = options.launchSite || null;
     this.initializeRocket();
   }
 
@@ -16,15 +90,15 @@ export class Rocket {
 
     // Set default values if no primary body
     this.earthRadius = primaryBody ? primaryBody.radius : 2;
-    this.earthMass = 3; // Game-appropriate Earth mass (was using real Earth mass)
-    this.G = 0.3; // Game gravitational constant (was using real G constant)
+    this.earthMu = primaryBody ? primaryBody.mu : 0.9; // Gravitational parameter
+
+    // Body whose sphere of influence the rocket is in
+    this.referenceBody = primaryBody;
 
-    // Create rocket mesh (simple cylinder) if it doesn't exist
+    // Create rocket mesh (a group holding each stage's cylinder) if it
+    // doesn't exist
     if (!this.mesh) {
-      this.mesh = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.05, 0.05, 0.2, 16),
-        new THREE.MeshStandardMaterial({ color: 0xffffff })
-      );
+      this.mesh = new THREE.Group();
 
       // Create thrust indicator
       this.thrustIndicator = new THREE.Mesh(
@@ -35,10 +109,22 @@ export class Rocket {
           opacity: 0,
         })
       );
-      this.thrustIndicator.position.y = -0.15; // Position at bottom of rocket
       this.thrustIndicator.rotation.z = Math.PI; // Point downward
       this.mesh.add(this.thrustIndicator);
 
+      // Create the plasma glow shown while heating up during reentry
+      this.plasmaGlow = new THREE.Mesh(
+        new THREE.SphereGeometry(0.14, 16, 16),
+        new THREE.MeshBasicMaterial({
+          color: 0xff6622,
+          transparent: true,
+          opacity: 0,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        })
+      );
+      this.mesh.add(this.plasmaGlow);
+
       // Create trail
       const trailGeometry = new THREE.BufferGeometry();
       const trailMaterial = new THREE.LineBasicMaterial({
@@ -51,48 +137,100 @@ export class Rocket {
 
     // Reset position and orientation
     if (primaryBody) {
-      // Position just above the primary body (Earth)
-      const startPosition = new THREE.Vector3(0, primaryBody.radius + 0.1, 0);
-      startPosition.add(primaryBody.position); // Add the body's position
-      this.mesh.position.copy(startPosition);
+      // Stand on the launch site, which turns with the primary body (Earth)
+      if (!this.launchSite) {
+        this.launchSite = primaryBody.getSurfaceCoordinates(
+          new THREE.Vector3(0, primaryBody.radius + 0.1, 0).add(
+            primaryBody.position
+          )
+        );
+      }
+      const { latitude, longitude } = this.launchSite;
+      this.mesh.position.copy(
+        primaryBody.getSurfacePosition(latitude, longitude, 0.1)
+      );
     } else {
       // Fallback to default position
       this.mesh.position.set(0, this.earthRadius + 0.1, 0); // Just above Earth surface
     }
 
-    this.mesh.rotation.z = 0; // Reset rotation
+    // Stack of stages, bottom (active) stage first. Stages discarded on an
+    // earlier flight keep their meshes, so only the current ones are removed.
+    if (this.stages) {
+      this.stages.forEach((stage) => this.mesh.remove(stage.mesh));
+    }
+    this.stages = createDefaultStages();
+    this.stages.forEach((stage) => this.mesh.add(stage.mesh));
+    this.layoutStages();
 
-    // Reset physics properties
-    this.mass = 2;
+    // Reset physics properties. Mass is the sum of every stage's dry mass
+    // and propellant, and is kept up to date as fuel burns.
     this.position = this.mesh.position;
-    this.velocity = new THREE.Vector3(0, 0, 0);
+    this.velocity = primaryBody
+      ? primaryBody.getSurfaceVelocity(this.position) // Carried by the spin
+      : new THREE.Vector3(0, 0, 0);
     this.force = new THREE.Vector3(0, 0, 0);
 
-    // Set thrust direction to point away from the primary body
-    if (primaryBody) {
-      // Calculate direction from primary body to rocket
-      this.thrustDirection = new THREE.Vector3()
-        .copy(this.position)
-        .sub(primaryBody.position)
-        .normalize();
-    } else {
-      // Default thrust direction (up)
-      this.thrustDirection = new THREE.Vector3(0, 1, 0);
-    }
-
-    this.thrustMagnitude = 0;
+    // Orientation of the body frame in the world. The nose starts pointing
+    // away from the primary body, with the pitch axis facing the camera.
+    const upDirection = primaryBody
+      ? new THREE.Vector3().copy(this.position).sub(primaryBody.position)
+      : new THREE.Vector3().copy(NOSE_AXIS);
+    this.attitude = new THREE.Quaternion().setFromUnitVectors(
+      NOSE_AXIS,
+      upDirection.normalize()
+    );
+    this.mesh.quaternion.copy(this.attitude);
+
+    // Thrust acts along the nose; kept in sync with the attitude
+    this.thrustDirection = new THREE.Vector3();
+    this.updateThrustDirection();
+
+    this.thrustMagnitude = 0; // Actual thrust, set from the throttle each step
+    this.throttle = 0;
+    this.throttleOverride = null;
+
+    // Rotation. angularVelocity (rad/s) and rotationInput are in the body
+    // frame, x, y and z being the yaw, roll and pitch axes; the input
+    // commands each axis from -1 to 1. SAS is on at launch, in stability
+    // mode ("kill rotation").
+    this.angularVelocity = new THREE.Vector3();
+    this.rotationInput = new THREE.Vector3();
+    this.sasEnabled = true;
+    this.sasMode = SAS_MODE.STABILITY;
+    this.steeringDirection = null; // Set by an autopilot, overriding sasMode
+    this.sasTarget = null; // Vessel the target holds point at
+    this.reactionWheels = new ReactionWheels();
+    this.rcs = new RCSThrusters();
+
+    // Docking. A rocket docked to this one rides on its nose as part of
+    // this vessel, adding its mass and propellant; that rocket records its
+    // carrier, and the time it was docked, to catch up its clock later.
+    if (this.dockedVessel) this.mesh.remove(this.dockedVessel.mesh);
+    this.dockingPort = new DockingPort();
+    this.dockedVessel = null;
+    this.carrier = null;
+    this.dockedAt = 0;
 
     // Orbit properties
     this.isInOrbit = false;
+    this.trajectory = null; // One of TRAJECTORY, or null before launch
     this.orbitPeriod = 0; // Time in seconds for one complete orbit
     this.orbitDistance = 0; // Average distance from Earth center
     this.orbitSpeed = 0; // Average orbital speed
+    this.orbit = null; // Keplerian elements relative to the orbited body
+    this.inAtmosphere = false;
 
-    // Fuel system
-    this.maxFuel = 100;
-    this.fuel = this.maxFuel;
-    this.fuelConsumptionRate = 7; // Units per second at full thrust
+    // Energy and angular momentum at the start of the current coast, used to
+    // measure integrator drift
+    this.conservationBaseline = null;
+    this.energyDrift = 0;
+    this.angularMomentumDrift = 0;
+
+    // Fuel system. Each stage carries its own propellant; the rocket is out
+    // of fuel once no stage has any left.
     this.outOfFuel = false;
+    this.updateMass();
 
     // Reset trail using a fixed-size circular buffer
     this.trailMaxPoints = 100;
@@ -109,143 +247,364 @@ export class Rocket {
       new THREE.BufferAttribute(positions, 3)
     );
 
-    // Atmosphere parameters
-    this.dragCoefficient = 0.005;
-    this.atmosphereHeight = 3.0;
+    // Aerodynamics. The atmosphere itself belongs to each celestial body.
+    this.dragCoefficient = 0.5;
+    this.dragArea = 0.02; // Cross-section facing the airflow
+    this.dynamicPressure = 0;
+    this.machNumber = null; // Null outside any atmosphere
+    this.maxQ = null; // { dynamicPressure, machNumber, altitude }
+    this.maxQPassed = false;
+
+    // Landing. landedState is one of LANDING_STATE while resting on a body;
+    // landing holds the details of the touchdown.
+    this.landedState = null;
+    this.landing = null;
+
+    // The rocket is pinned to the pad, turning with the body, until the
+    // engine can lift it off
+    this.surfaceAnchor = null;
+    if (primaryBody) this.anchorToSurface(primaryBody);
+
+    // Skin temperature; the vessel is destroyed above maxTemperature
+    this.temperature = AMBIENT_TEMPERATURE;
+    this.maxTemperature = 1200;
+    this.heatFlux = 0;
+    this.plasmaGlow.material.opacity = 0;
 
     // Reset simulation state
     this.hasStarted = false;
     this.hasCrashed = false;
     this.crashCount = 0;
     this.crashVelocityThreshold = 0.5; // Not used anymore since any collision causes a crash
-    this.lastCollisionTime = 0;
-    this.collisionCooldown = 0.1; // Reduced from 0.5 to make collision detection more responsive
     this.maxCrashCount = 1; // Reduced from 3 to 1 since any collision should cause a crash
 
+    // Seconds since launch, and where and when the rocket last hit a
+    // surface: { body, time, point, speed }
+    this.missionTime = 0;
+    this.lastImpact = null;
+
     // Feedback flags
     this.orbitFeedbackTriggered = false;
     this.crashEffectTriggered = false;
   }
 
-  applyGravity() {
+  // Add the gravity force at a position to a force accumulator. Called with
+  // trial states by the integrators, so it must not touch the rocket's state.
+  applyGravity(position = this.position, force = this.force) {
     // Only apply gravity if the simulation has started
     if (!this.hasStarted || this.hasCrashed) return;
 
-    // Apply gravity from each celestial body, but only consider nearby bodies
-    if (this.celestialBodies && this.celestialBodies.length > 0) {
-      for (const body of this.celestialBodies) {
-        // Calculate distance to the body
-        const distanceVector = new THREE.Vector3()
-          .copy(this.position)
-          .sub(body.position);
-        const distance = distanceVector.length();
-
-        // Only consider bodies that are close enough to have significant gravity
-        // (typically within 10x the body's radius)
-        if (distance < body.radius * 20) {
-          // Calculate gravity force from this body
-          const gravityForce = body.calculateGravityForce(
-            this.position,
-            this.mass
-          );
-
-          // Add the force to the rocket
-          this.force.add(gravityForce);
-        }
-      }
+    // Patched conics: only the body whose sphere of influence the rocket is
+    // in pulls on it. That body's own acceleration is added as well, so the
+    // motion relative to it is a pure two-body orbit.
+    const body = this.referenceBody;
+    if (body) {
+      force.add(body.calculateGravityForce(position, this.mass));
+      force.addScaledVector(body.acceleration, this.mass);
     } else {
       // Fallback to original Earth-only gravity calculation
-      const G = this.G; // Gravitational constant
-      const M_earth = this.earthMass;
-      const r = this.position.length();
-
-      // Add stronger gravity near the surface to make liftoff more challenging
-      let gravityMultiplier = 1.0;
-      const altitude = r - this.earthRadius;
-      if (altitude < 1.0) {
-        // Increase gravity strength near the surface
-        gravityMultiplier = 1.0 + (1.0 - altitude) * 0.5;
-      }
-
+      const r = position.length();
       const directionToEarth = new THREE.Vector3()
-        .copy(this.position)
+        .copy(position)
         .negate()
         .normalize();
-      const gravityMagnitude =
-        ((G * M_earth * this.mass) / (r * r)) * gravityMultiplier;
-      this.force.add(directionToEarth.multiplyScalar(gravityMagnitude));
+      const gravityMagnitude = (this.earthMu * this.mass) / (r * r);
+      force.add(directionToEarth.multiplyScalar(gravityMagnitude));
     }
   }
 
-  applyDrag() {
+  // The body whose atmosphere a position is in, or null in vacuum
+  getAtmosphereBody(position = this.position) {
+    return (
+      this.celestialBodies.find((body) => body.isInAtmosphere(position)) || null
+    );
+  }
+
+  // Atmospheric pressure at a position, as a fraction of sea-level
+  // pressure. Zero above the top of the atmosphere.
+  getAtmosphericPressure(position = this.position) {
+    const body = this.getAtmosphereBody(position);
+    return body ? body.getAtmosphericPressure(position) : 0;
+  }
+
+  // Add the atmospheric drag force at a state to a force accumulator.
+  // Returns true if the state is inside an atmosphere.
+  applyDrag(
+    position = this.position,
+    velocity = this.velocity,
+    force = this.force
+  ) {
     // Only apply drag if the simulation has started
-    if (!this.hasStarted || this.hasCrashed) return;
+    if (!this.hasStarted || this.hasCrashed) return false;
+
+    const body = this.getAtmosphereBody(position);
+    if (!body) return false;
+
+    // Drag acts against the velocity through the air, which turns with the
+    // body: F = q * Cd * A, with dynamic pressure q = ½ρv²
+    const airVelocity = velocity.clone().sub(body.getSurfaceVelocity(position));
+    const airSpeedSquared = airVelocity.lengthSq();
+
+    if (airSpeedSquared > 0.0001) {
+      // Avoid normalizing zero vector
+      const dynamicPressure =
+        0.5 * body.getAtmosphericDensity(position) * airSpeedSquared;
+      const dragForce = airVelocity
+        .normalize()
+        .multiplyScalar(
+          -dynamicPressure * this.dragCoefficient * this.dragArea
+        );
+      force.add(dragForce);
+    }
 
-    // Apply drag from celestial bodies with atmospheres
-    if (this.celestialBodies && this.celestialBodies.length > 0) {
-      for (const body of this.celestialBodies) {
-        // Skip bodies without atmospheres
-        if (!body.hasAtmosphere) continue;
-
-        // Calculate distance from body center
-        const distanceVector = new THREE.Vector3()
-          .copy(this.position)
-          .sub(body.position);
-        const distance = distanceVector.length();
-
-        // Calculate altitude above body surface
-        const altitude = distance - body.radius;
-
-        // Only apply drag if within atmosphere (default atmosphere height is 3.0)
-        const atmosphereHeight = 3.0;
-        if (altitude < atmosphereHeight) {
-          // Use exponential decay model for more realistic atmospheric density
-          // Density decreases exponentially with altitude
-          const scaleHeight = atmosphereHeight / 3; // Scale height is typically 1/3 of atmosphere height
-          const atmosphereDensity = Math.exp(-altitude / scaleHeight);
-
-          // Drag is proportional to velocity squared and in opposite direction
-          const dragMagnitude =
-            this.dragCoefficient * atmosphereDensity * this.velocity.lengthSq();
-
-          if (this.velocity.lengthSq() > 0.0001) {
-            // Avoid normalizing zero vector
-            const dragForce = this.velocity
-              .clone()
-              .normalize()
-              .multiplyScalar(-dragMagnitude);
-            this.force.add(dragForce);
-          }
+    return true;
+  }
 
-          // Only apply drag from one body (the closest one with atmosphere)
-          break;
-        }
-      }
+  // Heat the skin from the airflow and let it cool towards the ambient
+  // temperature. Overheating destroys the vessel.
+  updateThermal(deltaTime) {
+    const body = this.getAtmosphereBody();
+    if (body) {
+      const airSpeed = this.velocity.distanceTo(
+        body.getSurfaceVelocity(this.position)
+      );
+      this.heatFlux =
+        HEATING_COEFFICIENT *
+        Math.sqrt(body.getAtmosphericDensity(this.position)) *
+        Math.pow(airSpeed, 3);
     } else {
-      // Fallback to original Earth-only drag calculation
-      // Calculate altitude (distance from Earth's center minus Earth radius)
-      const altitude = this.position.length() - this.earthRadius;
-
-      // Only apply drag if within atmosphere
-      if (altitude < this.atmosphereHeight) {
-        // Use exponential decay model for more realistic atmospheric density
-        const scaleHeight = this.atmosphereHeight / 3;
-        const atmosphereDensity = Math.exp(-altitude / scaleHeight);
-
-        // Drag is proportional to velocity squared and in opposite direction
-        const dragMagnitude =
-          this.dragCoefficient * atmosphereDensity * this.velocity.lengthSq();
-
-        if (this.velocity.lengthSq() > 0.0001) {
-          // Avoid normalizing zero vector
-          const dragForce = this.velocity
-            .clone()
-            .normalize()
-            .multiplyScalar(-dragMagnitude);
-          this.force.add(dragForce);
-        }
+      this.heatFlux = 0;
+    }
+
+    this.temperature +=
+      (this.heatFlux -
+        COOLING_RATE * (this.temperature - AMBIENT_TEMPERATURE)) *
+      deltaTime;
+
+    // The glow brightens with the heating rate
+    this.plasmaGlow.material.opacity = Math.min(
+      0.8,
+      this.heatFlux / FULL_PLASMA_HEAT_FLUX
+    );
+
+    if (this.temperature > this.maxTemperature) {
+      this.crash(CRASH_CAUSE.OVERHEAT);
+    }
+  }
+
+  // Sweep the path taken over the last step, from previousPosition to the
+  // current position, against every body in its own moving frame. Returns
+  // the earliest impact as { body, fraction, point, velocity }, with the
+  // velocity interpolated to the moment of contact, or null.
+  findImpact(previousPosition, previousVelocity) {
+    let impact = null;
+    for (const body of this.celestialBodies) {
+      const fraction = body.sweepCollision(
+        previousPosition,
+        this.position,
+        COLLISION_RADIUS
+      );
+      if (fraction !== null && (!impact || fraction < impact.fraction)) {
+        impact = { body, fraction };
       }
     }
+    if (!impact) return null;
+
+    // The contact point on the surface, where the body is now
+    const { body, fraction } = impact;
+    impact.point = previousPosition
+      .clone()
+      .sub(body.previousPosition)
+      .lerp(this.position.clone().sub(body.position), fraction)
+      .add(body.position);
+    impact.velocity = previousVelocity.clone().lerp(this.velocity, fraction);
+    return impact;
+  }
+
+  // Wind the rocket back to the moment of an impact found over a step of
+  // deltaTime, record it, then land or crash there
+  resolveImpact(impact, deltaTime) {
+    const { body, fraction, point, velocity } = impact;
+    this.position.copy(point);
+    this.velocity.copy(velocity);
+    this.lastImpact = {
+      body: body.name,
+      time: this.missionTime - (1 - fraction) * deltaTime,
+      point: point.clone(),
+      speed: velocity.distanceTo(body.getSurfaceVelocity(point)),
+    };
+
+    this.handleSurfaceContact(body);
+    if (this.landedState) {
+      this.followSurfaceAnchor();
+    }
+    this.mesh.quaternion.copy(this.attitude);
+  }
+
+  // Handle touching a body's surface. A touchdown within the landing limits
+  // settles the rocket into the landed (or, on water, splashed) state and
+  // fires "rocketLanded" with the grade; anything harder is a crash.
+  handleSurfaceContact(body) {
+    const contact = measureSurfaceContact(
+      this.position,
+      this.velocity,
+      this.thrustDirection,
+      body
+    );
+
+    if (!isSafeLanding(contact)) {
+      this.crash(CRASH_CAUSE.IMPACT);
+      return;
+    }
+
+    // Rest on the surface, moving with the body
+    this.position
+      .copy(contact.normal)
+      .multiplyScalar(body.radius + COLLISION_RADIUS)
+      .add(body.position);
+    this.velocity.copy(body.getSurfaceVelocity(this.position));
+    this.anchorToSurface(body);
+
+    const { latitude, longitude } = body.getSurfaceCoordinates(this.position);
+    const { grade, score } = gradeLanding(contact);
+
+    this.landedState = body.isWaterAt(this.position)
+      ? LANDING_STATE.SPLASHED
+      : LANDING_STATE.LANDED;
+    this.landing = {
+      body,
+      state: this.landedState,
+      latitude,
+      longitude,
+      verticalSpeed: Math.max(0, contact.verticalSpeed),
+      horizontalSpeed: contact.horizontalSpeed,
+      tilt: contact.tilt,
+      grade,
+      score,
+    };
+
+    // The rocket is no longer on any orbit
+    this.orbit = null;
+    this.trajectory = null;
+    this.isInOrbit = false;
+    this.conservationBaseline = null;
+
+    window.dispatchEvent(
+      new CustomEvent("rocketLanded", {
+        detail: {
+          vessel: this,
+          body: body.name,
+          state: this.landedState,
+          latitude,
+          longitude,
+          verticalSpeed: this.landing.verticalSpeed,
+          horizontalSpeed: this.landing.horizontalSpeed,
+          tilt: this.landing.tilt,
+          grade,
+          score,
+          impact: this.lastImpact,
+        },
+      })
+    );
+  }
+
+  // Pin the rocket to the surface point below it, in the body's own
+  // (turning) frame
+  anchorToSurface(body) {
+    body.mesh.updateMatrixWorld();
+    this.surfaceAnchor = {
+      body,
+      localPosition: body.mesh.worldToLocal(this.position.clone()),
+      bodyQuaternion: body.mesh.quaternion.clone(),
+    };
+  }
+
+  // Keep a pinned rocket on its spot as the body moves and spins: it moves
+  // with the ground and is turned with it
+  followSurfaceAnchor() {
+    const { body, localPosition, bodyQuaternion } = this.surfaceAnchor;
+    body.mesh.updateMatrixWorld();
+    this.position.copy(body.mesh.localToWorld(localPosition.clone()));
+    this.velocity.copy(body.getSurfaceVelocity(this.position));
+
+    // Apply the body's rotation since the last step to the attitude
+    const rotation = body.mesh.quaternion
+      .clone()
+      .multiply(bodyQuaternion.clone().invert());
+    bodyQuaternion.copy(body.mesh.quaternion);
+    this.attitude.premultiply(rotation).normalize();
+    this.updateThrustDirection();
+  }
+
+  // Whether the thrust pushing away from the surface beats the body's
+  // gravity, so a pinned rocket can take off
+  canLiftOff(thrustForce) {
+    const { body } = this.surfaceAnchor;
+    const up = this.position.clone().sub(body.position);
+    const distance = up.length();
+    const weight = (body.mu * this.mass) / (distance * distance);
+    return thrustForce.dot(up) / distance > weight;
+  }
+
+  isLanded() {
+    return this.landedState !== null;
+  }
+
+  // Destroy the rocket. Fires "rocketCrash" with the cause (and, for an
+  // impact, where and when it happened), and the crash effect once.
+  crash(cause) {
+    this.hasCrashed = true;
+    this.plasmaGlow.material.opacity = 0;
+    const impact = cause === CRASH_CAUSE.IMPACT ? this.lastImpact : null;
+    window.dispatchEvent(
+      new CustomEvent("rocketCrash", {
+        detail: { vessel: this, cause, impact },
+      })
+    );
+
+    // Trigger crash effect if not already triggered
+    if (!this.crashEffectTriggered) {
+      window.dispatchEvent(
+        new CustomEvent("rocketCrashEffect", { detail: { vessel: this } })
+      );
+      this.crashEffectTriggered = true;
+    }
+  }
+
+  // Update the dynamic pressure and Mach number readouts, and record the
+  // Max-Q moment: the peak of dynamic pressure on the way up. It is
+  // announced with a "maxQ" event once q has clearly fallen from its peak.
+  updateAerodynamics() {
+    const body = this.getAtmosphereBody();
+    if (!body) {
+      this.dynamicPressure = 0;
+      this.machNumber = null;
+    } else {
+      const airSpeed = this.velocity.distanceTo(
+        body.getSurfaceVelocity(this.position)
+      );
+      this.dynamicPressure =
+        0.5 * body.getAtmosphericDensity(this.position) * airSpeed * airSpeed;
+      this.machNumber = airSpeed / body.speedOfSound;
+    }
+
+    if (this.maxQPassed) return;
+
+    if (!this.maxQ || this.dynamicPressure > this.maxQ.dynamicPressure) {
+      this.maxQ = {
+        dynamicPressure: this.dynamicPressure,
+        machNumber: this.machNumber,
+        altitude: this.getAltitude(),
+      };
+    } else if (
+      this.maxQ.dynamicPressure > MIN_MAX_Q &&
+      this.dynamicPressure < this.maxQ.dynamicPressure * MAX_Q_DROP
+    ) {
+      this.maxQPassed = true;
+      window.dispatchEvent(
+        new CustomEvent("maxQ", { detail: { ...this.maxQ, vessel: this } })
+      );
+    }
   }
 
   applyThrust() {
@@ -256,14 +615,15 @@ export class Rocket {
     }
 
     // Apply thrust if there's fuel and thrust is requested
-    if (this.thrustMagnitude > 0 && this.fuel > 0) {
+    if (this.thrustMagnitude > 0 && this.canThrust()) {
       const thrustVector = this.thrustDirection
         .clone()
         .multiplyScalar(this.thrustMagnitude);
       this.force.add(thrustVector);
 
-      // Update thrust indicator visibility
+      // Update thrust indicator visibility; the flame grows with throttle
       this.thrustIndicator.material.opacity = 1;
+      this.thrustIndicator.scale.y = this.getThrottle();
 
       // Start the simulation when thrust is first applied
       if (!this.hasStarted) {
@@ -280,20 +640,417 @@ export class Rocket {
     }
   }
 
+  // Set the thrust the active engine produces at the current throttle and
+  // ambient pressure
+  updateThrust() {
+    if (this.hasCrashed || this.outOfFuel || !this.canThrust()) {
+      this.thrustMagnitude = 0;
+      return;
+    }
+
+    this.thrustMagnitude = this.getActiveStage().engine.getThrust(
+      this.getThrottle(),
+      this.getAtmosphericPressure()
+    );
+  }
+
   consumeFuel(deltaTime) {
     // Only consume fuel if thrusting and has fuel
-    if (this.thrustMagnitude > 0 && this.fuel > 0) {
-      // Consume fuel based on thrust magnitude and time
-      const fuelConsumed =
-        this.fuelConsumptionRate * this.thrustMagnitude * deltaTime;
-      this.fuel = Math.max(0, this.fuel - fuelConsumed);
+    if (this.thrustMagnitude > 0 && this.canThrust()) {
+      // Burn the active stage's propellant at its engine's mass flow rate,
+      // drawing first on a docked rocket's tanks
+      const stage = this.getActiveStage();
+      const remainingDemand = this.drawDockedFuel(
+        stage.engine.getMassFlowRate(this.getThrottle()) * deltaTime
+      );
+      stage.fuel = Math.max(0, stage.fuel - remainingDemand);
 
       // Check if we've run out of fuel
-      if (this.fuel <= 0) {
-        this.fuel = 0;
-        this.outOfFuel = true;
-      }
+      this.outOfFuel = !this.hasFuel();
+
+      this.updateMass();
+    }
+  }
+
+  updateMass() {
+    this.mass =
+      this.stages.reduce((sum, stage) => sum + stage.getMass(), 0) +
+      this.rcs.monopropellant +
+      (this.dockedVessel ? this.dockedVessel.mass : 0);
+  }
+
+  // Height of the center of mass along the nose, in the body frame. A
+  // docked rocket rides upside down, so its own center is flipped.
+  getCenterOfMass() {
+    let mass = 0;
+    let moment = 0;
+    for (const stage of this.stages) {
+      mass += stage.getMass();
+      moment += stage.getMass() * stage.mesh.position.y;
+    }
+    const docked = this.dockedVessel;
+    if (docked) {
+      mass += docked.mass;
+      moment +=
+        docked.mass * (docked.mesh.position.y - docked.getCenterOfMass());
+    }
+    return moment / mass;
+  }
+
+  // Moments of inertia about the center of mass, per body axis: x and z
+  // (yaw and pitch) are transverse, y is roll. Stages are moved to the
+  // center of mass with the parallel axis theorem.
+  getMomentOfInertia() {
+    const centerOfMass = this.getCenterOfMass();
+    let transverse = 0;
+    let roll = 0;
+    for (const stage of this.stages) {
+      const inertia = stage.getMomentOfInertia();
+      const offset = stage.mesh.position.y - centerOfMass;
+      transverse += inertia.transverse + stage.getMass() * offset * offset;
+      roll += inertia.roll;
+    }
+    const docked = this.dockedVessel;
+    if (docked) {
+      const inertia = docked.getMomentOfInertia();
+      const offset =
+        docked.mesh.position.y - docked.getCenterOfMass() - centerOfMass;
+      transverse += inertia.x + docked.mass * offset * offset;
+      roll += inertia.y;
+    }
+    return new THREE.Vector3(transverse, roll, transverse);
+  }
+
+  // Largest torque about each body axis from the reaction wheels, the RCS
+  // (if switched on) and the active engine's gimbal (while it fires)
+  getMaxTorque() {
+    const length = this.stages.reduce((sum, stage) => sum + stage.length, 0);
+    const activeStage = this.getActiveStage();
+    const engineLeverArm = this.getCenterOfMass() + length / 2;
+
+    const wheels = this.reactionWheels.getTorque();
+    const gimbal = activeStage.engine.getGimbalTorque(
+      this.thrustMagnitude,
+      engineLeverArm
+    );
+    const transverse = wheels + this.rcs.getTorque(length / 2) + gimbal;
+    const roll = wheels + this.rcs.getTorque(activeStage.radius);
+
+    return new THREE.Vector3(transverse, roll, transverse);
+  }
+
+  // How long the active stage takes to give deltaV, from the rocket
+  // equation: at the current thrust, or at full throttle while the engine
+  // is off. Burning into later stages isn't allowed for.
+  getBurnTime(deltaV) {
+    if (!this.canThrust()) return Infinity;
+
+    const engine = this.getActiveStage().engine;
+    const throttle = this.getThrottle() > 0 ? this.getThrottle() : 1;
+    const massFlowRate = engine.getMassFlowRate(throttle);
+    const exhaustVelocity = engine.getExhaustVelocity(
+      this.getAtmosphericPressure()
+    );
+
+    return (
+      (this.mass * (1 - Math.exp(-deltaV / exhaustVelocity))) / massFlowRate
+    );
+  }
+
+  // The bottom stage, whose engine is the one that fires
+  getActiveStage() {
+    return this.stages[0];
+  }
+
+  // Whether any remaining stage, or a docked rocket, has propellant left
+  hasFuel() {
+    return (
+      this.stages.some((stage) => !stage.isEmpty()) || this.getDockedFuel() > 0
+    );
+  }
+
+  // Whether the active stage has propellant to burn, of its own or drawn
+  // from a docked rocket
+  canThrust() {
+    return !this.getActiveStage().isEmpty() || this.getDockedFuel() > 0;
+  }
+
+  // Set the persistent throttle, from 0 (off) to 1 (full)
+  setThrottle(throttle) {
+    this.throttle = Math.max(0, Math.min(1, throttle));
+  }
+
+  // Temporarily run at a different throttle without changing the set one
+  // (e.g. full throttle while a key is held); null clears the override
+  setThrottleOverride(throttle) {
+    this.throttleOverride = throttle;
+  }
+
+  // The throttle the engine is commanded to
+  getThrottle() {
+    return this.throttleOverride !== null
+      ? this.throttleOverride
+      : this.throttle;
+  }
+
+  // Delta-v of each remaining stage, bottom first. Each stage pushes the
+  // mass of every stage above it. A docked rocket's propellant is burned
+  // first, by the active stage's engine, so it counts toward that stage.
+  getStageDeltaV() {
+    const dockedFuel = this.getDockedFuel();
+    let payloadMass = this.mass - dockedFuel;
+    const dockedDeltaV =
+      dockedFuel > 0
+        ? this.getActiveStage().engine.getExhaustVelocity() *
+          Math.log(this.mass / payloadMass)
+        : 0;
+
+    return this.stages.map((stage, index) => {
+      payloadMass -= stage.getMass();
+      return stage.getDeltaV(payloadMass) + (index === 0 ? dockedDeltaV : 0);
+    });
+  }
+
+  // Total remaining delta-v from the Tsiolkovsky rocket equation, summed
+  // over the stages
+  getDeltaV() {
+    return this.getStageDeltaV().reduce((sum, deltaV) => sum + deltaV, 0);
+  }
+
+  // Length of the stack of stages, nose to tail
+  getLength() {
+    return this.stages.reduce((sum, stage) => sum + stage.length, 0);
+  }
+
+  // Stack the stage meshes along the nose, centered on the rocket's
+  // position, with the exhaust below the bottom stage and any docked rocket
+  // on top
+  layoutStages() {
+    const length = this.getLength();
+    let bottom = -length / 2;
+
+    for (const stage of this.stages) {
+      stage.mesh.position.set(0, bottom + stage.length / 2, 0);
+      bottom += stage.length;
+    }
+
+    this.thrustIndicator.position.y = -length / 2 - 0.05;
+
+    if (this.dockedVessel) {
+      this.dockedVessel.mesh.position.set(
+        0,
+        (length + this.dockedVessel.getLength()) / 2,
+        0
+      );
+    }
+  }
+
+  // Separate the spent bottom stage. It becomes debris, flying on under
+  // gravity, and the next stage's engine takes over. Fires "stageSeparated"
+  // with the debris so it can be added to the scene.
+  stage() {
+    if (!this.hasStarted || this.hasCrashed || this.stages.length < 2) {
+      return null;
+    }
+
+    const spentStage = this.stages.shift();
+    this.mesh.remove(spentStage.mesh);
+
+    // World position of the spent stage, and of the center of what is left
+    const spentPosition = spentStage.mesh.position
+      .clone()
+      .applyQuaternion(this.attitude)
+      .add(this.position);
+    this.position.addScaledVector(this.thrustDirection, spentStage.length / 2);
+    this.layoutStages();
+
+    spentStage.mesh.quaternion.copy(this.attitude);
+    const debris = new Debris({
+      name: `${this.name} ${spentStage.name}`,
+      mesh: spentStage.mesh,
+      position: spentPosition,
+      velocity: this.velocity
+        .clone()
+        .addScaledVector(this.thrustDirection, -STAGE_SEPARATION_SPEED),
+      celestialBodies: this.celestialBodies,
+      collisionRadius: spentStage.length / 2,
+    });
+
+    this.updateMass();
+    this.outOfFuel = !this.hasFuel();
+
+    window.dispatchEvent(
+      new CustomEvent("stageSeparated", {
+        detail: { vessel: this, stage: spentStage, debris },
+      })
+    );
+
+    return debris;
+  }
+
+  // World position of the docking port, at the tip of the nose
+  getDockingPortPosition() {
+    return this.position
+      .clone()
+      .addScaledVector(this.thrustDirection, this.getLength() / 2);
+  }
+
+  // Whether the port is free and the rocket flying, so it can dock
+  isFreeToDock() {
+    return (
+      !this.dockedVessel &&
+      !this.carrier &&
+      this.hasStarted &&
+      !this.hasCrashed &&
+      !this.surfaceAnchor
+    );
+  }
+
+  // How the docking ports of this rocket and another line up: the distance
+  // between them, the rockets' relative speed, and how many degrees the
+  // noses are from pointing straight at each other
+  getDockingAlignment(other) {
+    return {
+      distance: this.getDockingPortPosition().distanceTo(
+        other.getDockingPortPosition()
+      ),
+      relativeSpeed: this.velocity.distanceTo(other.velocity),
+      angle: THREE.MathUtils.radToDeg(
+        this.thrustDirection.angleTo(other.thrustDirection.clone().negate())
+      ),
+    };
+  }
+
+  // Let the two ports catch each other again once this rocket and the one
+  // it undocked from have drifted apart
+  updateDockingRelease(other) {
+    const { distance } = this.getDockingAlignment(other);
+    this.dockingPort.updateRelease(other, distance);
+    other.dockingPort.updateRelease(this, distance);
+  }
+
+  canDockWith(other) {
+    if (other === this || !this.isFreeToDock() || !other.isFreeToDock()) {
+      return false;
+    }
+    return this.dockingPort.canCapture(other, this.getDockingAlignment(other));
+  }
+
+  // Lock onto another rocket's port and carry it from now on, nose to nose
+  // on top of this one. Momentum is kept, and its monopropellant joins this
+  // rocket's tank. Fires "vesselDocked".
+  dock(other) {
+    const totalMass = this.mass + other.mass;
+    this.velocity
+      .multiplyScalar(this.mass)
+      .addScaledVector(other.velocity, other.mass)
+      .divideScalar(totalMass);
+
+    // The docked rocket goes quiet; this one flies for both
+    other.setRotationInput(0, 0, 0);
+    other.setThrottle(0);
+    other.setThrottleOverride(null);
+    other.thrustMagnitude = 0;
+    other.thrustIndicator.material.opacity = 0;
+    other.angularVelocity.set(0, 0, 0);
+    other.carrier = this;
+    other.dockedAt = this.missionTime;
+    this.dockedVessel = other;
+
+    // Mounted upside down on the nose: turned half round the pitch axis
+    other.mesh.quaternion.setFromAxisAngle(PITCH_AXIS, Math.PI);
+    this.mesh.add(other.mesh);
+    this.layoutStages();
+
+    this.rcs.maxMonopropellant += other.rcs.maxMonopropellant;
+    this.rcs.monopropellant += other.rcs.monopropellant;
+    other.rcs.monopropellant = 0;
+    other.updateMass();
+    this.updateMass();
+    this.outOfFuel = !this.hasFuel();
+
+    window.dispatchEvent(
+      new CustomEvent("vesselDocked", {
+        detail: { vessel: this, docked: other },
+      })
+    );
+  }
+
+  // Let go of the docked rocket, pushing the two apart along the nose at
+  // the port's undocking speed. Each keeps what is left in its own tanks
+  // and its share of the monopropellant. Returns the released rocket, or
+  // null if none was docked. Fires "vesselUndocked".
+  undock() {
+    const other = this.dockedVessel;
+    if (!other) return null;
+
+    // Back where it was carried, in world space. Its mesh position is the
+    // rocket's position, so it is read before being replaced.
+    const offset = other.mesh.position.clone().applyQuaternion(this.attitude);
+    other.attitude.copy(this.attitude).multiply(other.mesh.quaternion);
+    this.mesh.remove(other.mesh);
+    other.position.copy(this.position).add(offset);
+    other.mesh.quaternion.copy(other.attitude);
+    other.updateThrustDirection();
+    other.referenceBody = this.referenceBody;
+    other.missionTime += this.missionTime - other.dockedAt;
+    other.carrier = null;
+    this.dockedVessel = null;
+    this.layoutStages();
+
+    // Monopropellant is shared out by the size of each rocket's tank
+    const share = other.rcs.maxMonopropellant / this.rcs.maxMonopropellant;
+    other.rcs.monopropellant = this.rcs.monopropellant * share;
+    this.rcs.monopropellant -= other.rcs.monopropellant;
+    this.rcs.maxMonopropellant -= other.rcs.maxMonopropellant;
+    other.updateMass();
+    other.outOfFuel = !other.hasFuel();
+    this.updateMass();
+    this.outOfFuel = !this.hasFuel();
+
+    // Push apart, keeping the total momentum
+    const push = this.dockingPort.undockSpeed;
+    const totalMass = this.mass + other.mass;
+    other.velocity
+      .copy(this.velocity)
+      .addScaledVector(this.thrustDirection, (push * this.mass) / totalMass);
+    this.velocity.addScaledVector(
+      this.thrustDirection,
+      (-push * other.mass) / totalMass
+    );
+
+    // Neither port catches the other again until they have drifted apart
+    this.dockingPort.releasedVessel = other;
+    other.dockingPort.releasedVessel = this;
+
+    window.dispatchEvent(
+      new CustomEvent("vesselUndocked", {
+        detail: { vessel: this, undocked: other },
+      })
+    );
+    return other;
+  }
+
+  // Propellant left in the docked rocket's stages
+  getDockedFuel() {
+    if (!this.dockedVessel) return 0;
+    return this.dockedVessel.stages.reduce((sum, stage) => sum + stage.fuel, 0);
+  }
+
+  // Take up to amount of propellant from the docked rocket's stages, bottom
+  // first; returns the amount still to be found
+  drawDockedFuel(amount) {
+    const docked = this.dockedVessel;
+    if (!docked) return amount;
+
+    for (const stage of docked.stages) {
+      const drawn = Math.min(stage.fuel, amount);
+      stage.fuel -= drawn;
+      amount -= drawn;
     }
+    docked.updateMass();
+    this.updateMass();
+    return amount;
   }
 
   updateTrail(deltaTime) {
@@ -332,99 +1089,142 @@ export class Rocket {
     }
   }
 
-  // Calculate the orbital period using Kepler's Third Law
-  calculateOrbitPeriod() {
-    // Find the closest celestial body
-    let closestBody = null;
-    let minDistance = Infinity;
+  // Classify the rocket's trajectory from the conic it is currently on, and
+  // track the orbital period while it is in a stable orbit
+  classifyTrajectory() {
+    if (!this.orbit) {
+      this.trajectory = null;
+    } else {
+      const { body, elements } = this.orbit;
 
-    if (this.celestialBodies && this.celestialBodies.length > 0) {
-      for (const body of this.celestialBodies) {
-        const distanceVector = new THREE.Vector3()
-          .copy(this.position)
-          .sub(body.position);
-        const distance = distanceVector.length();
+      // An orbit is only stable if its periapsis clears the atmosphere
+      // (or the surface, for bodies without one)
+      const safeRadius =
+        body.radius + (body.hasAtmosphere ? body.atmosphereHeight : 0);
 
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestBody = body;
-        }
-      }
+      this.trajectory = classifyTrajectory(elements, body.radius, safeRadius);
+      this.orbit.trajectory = this.trajectory;
     }
 
-    // If no closest body found, use default Earth values
-    if (!closestBody) {
-      closestBody = {
-        name: "Earth",
-        radius: this.earthRadius,
-        mass: this.earthMass,
-        position: new THREE.Vector3(0, 0, 0),
-      };
-    }
+    if (this.trajectory === TRAJECTORY.ORBITING) {
+      this.isInOrbit = true;
+      this.orbitPeriod = this.orbit.elements.period;
 
-    // Calculate altitude from the closest body
-    const altitude = minDistance - closestBody.radius;
-    const speed = this.velocity.length();
+      // Trigger orbit feedback if not already triggered
+      if (!this.orbitFeedbackTriggered) {
+        window.dispatchEvent(
+          new CustomEvent("orbitAchieved", { detail: { vessel: this } })
+        );
+        this.orbitFeedbackTriggered = true;
+      }
 
-    // Calculate orbital parameters
-    const G = this.G;
-    const M =
-      closestBody.name === "Earth" ? 3 : closestBody.name === "Moon" ? 0.5 : 1;
+      return this.orbitPeriod;
+    }
 
-    // Calculate escape velocity at current altitude
-    const escapeVelocity = Math.sqrt((2 * G * M) / minDistance);
+    // Not in orbit
+    this.isInOrbit = false;
+    this.orbitPeriod = 0;
+    this.orbitFeedbackTriggered = false;
+    return 0;
+  }
 
-    // Calculate circular orbit velocity at current altitude
-    const circularOrbitVelocity = Math.sqrt((G * M) / minDistance);
+  // Update the body whose sphere of influence the rocket is in, and fire
+  // a "soiChange" event when it crosses into another one
+  updateReferenceBody() {
+    const body = findSphereOfInfluence(this.celestialBodies, this.position);
+    if (!body || body === this.referenceBody) return;
+
+    const previousBody = this.referenceBody;
+    this.referenceBody = body;
+
+    window.dispatchEvent(
+      new CustomEvent("soiChange", {
+        detail: {
+          vessel: this,
+          from: previousBody ? previousBody.name : null,
+          to: body.name,
+        },
+      })
+    );
+  }
 
-    // Adjust orbit detection parameters based on the body
-    const minAltitude = closestBody.name === "Earth" ? 2.0 : 1.0; // Lower minimum altitude
-    const minSpeed = circularOrbitVelocity * 0.8; // 80% of circular orbit velocity
-    const maxSpeed = escapeVelocity * 0.9; // 90% of escape velocity
+  // Calculate the Keplerian elements of the rocket's orbit around the body
+  // whose sphere of influence it is in
+  updateOrbitalElements() {
+    const body = this.referenceBody;
+    if (!body) {
+      this.orbit = null;
+      return null;
+    }
 
-    // Check if we're in a stable orbit
-    // 1. Altitude must be above minimum
-    // 2. Speed must be between min and max (not too slow to fall, not too fast to escape)
-    // 3. Velocity must be mostly perpendicular to position vector (orbital motion)
-    if (altitude > minAltitude && speed > minSpeed && speed < maxSpeed) {
-      // Calculate the angle between velocity and position vectors
-      const positionNorm = new THREE.Vector3()
-        .copy(this.position)
-        .sub(closestBody.position)
-        .normalize();
-      const velocityNorm = new THREE.Vector3().copy(this.velocity).normalize();
-      const dotProduct = positionNorm.dot(velocityNorm);
+    const relativePosition = this.position.clone().sub(body.position);
+    const relativeVelocity = this.velocity.clone().sub(body.velocity);
 
-      // Dot product close to 0 means vectors are perpendicular (good orbital motion)
-      // Allow some deviation (±0.5) from perfect perpendicular
-      if (Math.abs(dotProduct) < 0.5) {
-        this.isInOrbit = true;
+    // The elements are undefined without any relative motion
+    if (relativeVelocity.lengthSq() < 1e-12) {
+      this.orbit = null;
+      return null;
+    }
 
-        // Calculate semi-major axis (approximated as distance from body's center)
-        const semiMajorAxis = minDistance;
+    this.orbit = {
+      body,
+      elements: computeOrbitalElements(
+        relativePosition,
+        relativeVelocity,
+        body.mu
+      ),
+    };
+    return this.orbit;
+  }
 
-        // Kepler's Third Law: T² = (4π²/GM) * a³
-        const orbitalPeriod = Math.sqrt(
-          ((4 * Math.PI * Math.PI) / (G * M)) * Math.pow(semiMajorAxis, 3)
-        );
+  // Track how far specific orbital energy and angular momentum drift from
+  // their values at the start of a coast. Only unpowered flight outside the
+  // atmosphere should conserve them, so the baseline resets otherwise.
+  updateConservationTracking() {
+    const isCoasting =
+      this.orbit &&
+      !this.inAtmosphere &&
+      (this.thrustMagnitude === 0 || !this.canThrust());
+
+    if (!isCoasting) {
+      this.conservationBaseline = null;
+      this.energyDrift = 0;
+      this.angularMomentumDrift = 0;
+      return;
+    }
 
-        this.orbitPeriod = orbitalPeriod;
+    const { body, elements } = this.orbit;
+    if (!this.conservationBaseline || this.conservationBaseline.body !== body) {
+      this.conservationBaseline = {
+        body,
+        specificEnergy: elements.specificEnergy,
+        angularMomentum: elements.angularMomentum,
+      };
+    }
 
-        // Trigger orbit feedback if not already triggered
-        if (!this.orbitFeedbackTriggered) {
-          window.dispatchEvent(new CustomEvent("orbitAchieved"));
-          this.orbitFeedbackTriggered = true;
-        }
+    const baseline = this.conservationBaseline;
+    this.energyDrift =
+      (elements.specificEnergy - baseline.specificEnergy) /
+      Math.abs(baseline.specificEnergy);
+    this.angularMomentumDrift =
+      (elements.angularMomentum - baseline.angularMomentum) /
+      baseline.angularMomentum;
+  }
 
-        return orbitalPeriod;
-      }
-    }
+  // Select the numerical integrator by id (see INTEGRATORS)
+  setIntegrator(id) {
+    if (!INTEGRATORS[id]) return;
+    this.integrator = id;
 
-    // Not in orbit
-    this.isInOrbit = false;
-    this.orbitPeriod = 0;
-    this.orbitFeedbackTriggered = false;
-    return 0;
+    // Drift is measured per integrator, so start a new baseline
+    this.conservationBaseline = null;
+  }
+
+  // Switch to the next available integrator
+  cycleIntegrator() {
+    const ids = Object.keys(INTEGRATORS);
+    this.setIntegrator(ids[(ids.indexOf(this.integrator) + 1) % ids.length]);
+    return this.integrator;
   }
 
   // Format the orbit time in minutes:seconds
@@ -443,18 +1243,49 @@ export class Rocket {
     if (this.hasCrashed) return;
 
     // Consume fuel if thrusting
+    this.updateThrust();
     this.consumeFuel(deltaTime);
+    this.updateRotation(deltaTime);
 
+    // Thrust is held constant over the step; gravity and drag are evaluated
+    // by the integrator at each trial state
     this.force.set(0, 0, 0);
-    this.applyGravity();
-    this.applyDrag(); // Apply air resistance
     this.applyThrust();
+    const thrustForce = this.force.clone();
+    this.applyGravity();
+    this.inAtmosphere = this.applyDrag(); // Apply air resistance
+
+    // Stay put on the pad or landing site until the engine can lift the
+    // rocket off
+    if (this.surfaceAnchor) {
+      if (!this.canLiftOff(thrustForce)) {
+        this.followSurfaceAnchor();
+        this.mesh.quaternion.copy(this.attitude);
+        return;
+      }
+      this.surfaceAnchor = null;
+      this.landedState = null;
+      this.landing = null;
+    }
 
     // Only update physics if the simulation has started or if rotation is happening
     if (this.hasStarted) {
-      const acceleration = this.force.clone().divideScalar(this.mass);
-      this.velocity.add(acceleration.multiplyScalar(deltaTime));
-      this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+      this.missionTime += deltaTime;
+      const previousPosition = this.position.clone();
+      const previousVelocity = this.velocity.clone();
+
+      const accelerationAt = (position, velocity) => {
+        const force = thrustForce.clone();
+        this.applyGravity(position, force);
+        this.applyDrag(position, velocity, force);
+        return force.divideScalar(this.mass);
+      };
+      INTEGRATORS[this.integrator].step(
+        this.position,
+        this.velocity,
+        deltaTime,
+        accelerationAt
+      );
 
       // Prevent NaN or Infinity in position or velocity
       if (
@@ -465,125 +1296,57 @@ export class Rocket {
         this.velocity.set(0, 0, 0);
       }
 
-      // Update collision cooldown
-      this.lastCollisionTime += deltaTime;
-
-      // Check for collision with any celestial body, but only if cooldown has elapsed
-      if (this.lastCollisionTime > this.collisionCooldown) {
-        let collisionDetected = false;
-
-        if (this.celestialBodies && this.celestialBodies.length > 0) {
-          for (const body of this.celestialBodies) {
-            if (body.checkCollision(this.position, 0.1)) {
-              collisionDetected = true;
-
-              // Reset collision timer
-              this.lastCollisionTime = 0;
-
-              // Get impact velocity
-              const impactVelocity = this.velocity.length();
-
-              // Only crash if the rocket is moving at a significant speed
-              // AND the simulation has started (thrust has been applied)
-              if (impactVelocity > 0.3 && this.hasStarted) {
-                this.hasCrashed = true;
-
-                // Create a custom event for the crash
-                const crashEvent = new CustomEvent("rocketCrash");
-                window.dispatchEvent(crashEvent);
-
-                // Trigger crash effect if not already triggered
-                if (!this.crashEffectTriggered) {
-                  window.dispatchEvent(new CustomEvent("rocketCrashEffect"));
-                  this.crashEffectTriggered = true;
-                }
-
-                return;
-              } else {
-                // For low-velocity collisions or before simulation starts,
-                // just stop the rocket - this allows it to sit on the surface
-
-                // Calculate normal vector (direction from body center to rocket)
-                const normal = new THREE.Vector3()
-                  .copy(this.position)
-                  .sub(body.position)
-                  .normalize();
-
-                // Move slightly away from the surface to prevent getting stuck
-                this.position.copy(
-                  normal.multiplyScalar(body.radius + 0.1).add(body.position)
-                );
-
-                // Zero out velocity in the normal direction (stop falling)
-                const normalVelocity = normal
-                  .clone()
-                  .multiplyScalar(this.velocity.dot(normal));
-                this.velocity.sub(normalVelocity);
-
-                // Add a small damping to horizontal velocity to simulate friction
-                this.velocity.multiplyScalar(0.95);
-              }
-
-              break; // Only handle one collision per frame
-            }
-          }
-        } else {
-          // Fallback to original Earth-only collision detection
-          if (this.position.length() < this.earthRadius) {
-            collisionDetected = true;
-
-            // Reset collision timer
-            this.lastCollisionTime = 0;
-
-            // Get impact velocity
-            const impactVelocity = this.velocity.length();
-
-            // Only crash if the rocket is moving at a significant speed
-            // AND the simulation has started (thrust has been applied)
-            if (impactVelocity > 0.3 && this.hasStarted) {
-              this.hasCrashed = true;
-
-              // Create a custom event for the crash
-              const crashEvent = new CustomEvent("rocketCrash");
-              window.dispatchEvent(crashEvent);
-
-              // Trigger crash effect if not already triggered
-              if (!this.crashEffectTriggered) {
-                window.dispatchEvent(new CustomEvent("rocketCrashEffect"));
-                this.crashEffectTriggered = true;
-              }
-
-              return;
-            } else {
-              // For low-velocity collisions or before simulation starts,
-              // just stop the rocket - this allows it to sit on the surface
-
-              // Calculate normal vector (direction from Earth center to rocket)
-              const normal = new THREE.Vector3()
-                .copy(this.position)
-                .normalize();
-
-              // Move slightly away from the surface to prevent getting stuck
-              this.position.copy(normal.multiplyScalar(this.earthRadius + 0.1));
-
-              // Zero out velocity in the normal direction (stop falling)
-              const normalVelocity = normal
-                .clone()
-                .multiplyScalar(this.velocity.dot(normal));
-              this.velocity.sub(normalVelocity);
-
-              // Add a small damping to horizontal velocity to simulate friction
-              this.velocity.multiplyScalar(0.95);
-            }
-          }
+      // Check for collision with any celestial body along the whole step,
+      // so a fast rocket can't pass through one between steps
+      let collisionDetected = false;
+
+      if (this.celestialBodies && this.celestialBodies.length > 0) {
+        const impact = this.findImpact(previousPosition, previousVelocity);
+        if (impact) {
+          // Land, or crash if the touchdown was too hard
+          this.resolveImpact(impact, deltaTime);
+          return;
         }
+      } else {
+        // Fallback to original Earth-only collision detection
+        if (this.position.length() < this.earthRadius) {
+          collisionDetected = true;
+
+          // Get impact velocity
+          const impactVelocity = this.velocity.length();
+
+          // Only crash if the rocket is moving at a significant speed
+          // AND the simulation has started (thrust has been applied)
+          if (impactVelocity > 0.3 && this.hasStarted) {
+            this.crash(CRASH_CAUSE.IMPACT);
+            return;
+          } else {
+            // For low-velocity collisions or before simulation starts,
+            // just stop the rocket - this allows it to sit on the surface
+
+            // Calculate normal vector (direction from Earth center to rocket)
+            const normal = new THREE.Vector3().copy(this.position).normalize();
+
+            // Move slightly away from the surface to prevent getting stuck
+            this.position.copy(normal.multiplyScalar(this.earthRadius + 0.1));
+
+            // Zero out velocity in the normal direction (stop falling)
+            const normalVelocity = normal
+              .clone()
+              .multiplyScalar(this.velocity.dot(normal));
+            this.velocity.sub(normalVelocity);
 
-        // Reset crash count if no collision
-        if (!collisionDetected) {
-          this.crashCount = 0;
+            // Add a small damping to horizontal velocity to simulate friction
+            this.velocity.multiplyScalar(0.95);
+          }
         }
       }
 
+      // Reset crash count if no collision
+      if (!collisionDetected) {
+        this.crashCount = 0;
+      }
+
       // Update the rocket's position and rotation
       this.mesh.position.copy(this.position);
 
@@ -591,36 +1354,266 @@ export class Rocket {
       this.updateTrail(deltaTime);
 
       // Calculate orbit parameters
-      this.calculateOrbitPeriod();
+      this.updateReferenceBody();
+      this.updateOrbitalElements();
+      this.classifyTrajectory();
+      this.updateConservationTracking();
+      this.updateAerodynamics();
+      this.updateThermal(deltaTime);
     }
 
     // Update mesh orientation (always allow rotation even if not started)
-    const angle =
-      Math.atan2(this.thrustDirection.y, this.thrustDirection.x) - Math.PI / 2;
-    this.mesh.rotation.z = angle;
+    this.mesh.quaternion.copy(this.attitude);
   }
 
-  setThrustMagnitude(mag) {
-    // Don't allow thrust if crashed or out of fuel
-    if (this.hasCrashed || this.outOfFuel) {
-      this.thrustMagnitude = 0;
-      return;
+  // Position and velocity relative to the reference body, or null while
+  // pinned to a surface (which carries the rocket itself)
+  getRelativeState() {
+    const body = this.referenceBody;
+    if (this.surfaceAnchor || !body) return null;
+
+    return {
+      position: this.position.clone().sub(body.position),
+      velocity: this.velocity.clone().sub(body.velocity),
+    };
+  }
+
+  // Coast for deltaTime along the Kepler orbit through relativeState (taken
+  // before the bodies moved on), for time warp on rails. The attitude is
+  // held, and the skin cools as it would in vacuum.
+  coastOnRails(relativeState, deltaTime) {
+    if (this.hasCrashed) return;
+
+    if (this.surfaceAnchor) {
+      this.followSurfaceAnchor();
+    } else if (relativeState) {
+      const body = this.referenceBody;
+      const { periapsis } = computeOrbitalElements(
+        relativeState.position,
+        relativeState.velocity,
+        body.mu
+      );
+      const { position, velocity } = propagateKeplerOrbit(
+        relativeState.position,
+        relativeState.velocity,
+        body.mu,
+        deltaTime
+      );
+      const previousPosition = this.position.clone();
+      const previousVelocity = this.velocity.clone();
+      this.position.copy(body.position).add(position);
+      this.velocity.copy(body.velocity).add(velocity);
+      this.missionTime += deltaTime;
+
+      // A long step's straight path can cut through the body when the
+      // orbit itself doesn't come near the surface
+      const impact =
+        periapsis < body.radius + COLLISION_RADIUS &&
+        this.findImpact(previousPosition, previousVelocity);
+      if (impact) {
+        this.resolveImpact(impact, deltaTime);
+        return;
+      }
+
+      this.updateTrail(deltaTime);
+      this.updateOrbitalElements();
+      this.classifyTrajectory();
+    }
+
+    this.angularVelocity.set(0, 0, 0);
+    this.temperature =
+      AMBIENT_TEMPERATURE +
+      (this.temperature - AMBIENT_TEMPERATURE) *
+        Math.exp(-COOLING_RATE * deltaTime);
+    this.heatFlux = 0;
+    this.plasmaGlow.material.opacity = 0;
+    this.mesh.quaternion.copy(this.attitude);
+  }
+
+  // Command rotation about each body axis, from -1 to 1 (full torque).
+  // Positive pitch turns the nose counter-clockwise as seen at launch;
+  // positive yaw turns it towards the camera.
+  setRotationInput(pitch, yaw, roll) {
+    this.rotationInput.set(yaw, roll, pitch);
+  }
+
+  toggleSAS() {
+    this.sasEnabled = !this.sasEnabled;
+  }
+
+  // Hold a direction with SAS, switching it on. Choosing the mode already
+  // held goes back to stability.
+  setSASMode(mode) {
+    this.sasMode =
+      mode === this.sasMode && this.sasEnabled ? SAS_MODE.STABILITY : mode;
+    this.sasEnabled = true;
+  }
+
+  // The world direction SAS is holding the nose to, or null when it only
+  // stops rotation
+  getSASDirection() {
+    const state = this.getRelativeState();
+    if (!state) return null;
+    return getSASDirection(
+      this.sasMode,
+      state.position,
+      state.velocity,
+      this.getTargetOffset()
+    );
+  }
+
+  // Offset from this rocket to the SAS target, if it has one
+  getTargetOffset() {
+    return this.sasTarget
+      ? this.sasTarget.position.clone().sub(this.position)
+      : null;
+  }
+
+  // Angular velocity in the body frame that SAS steers toward: none in
+  // stability mode; otherwise a pitch and yaw turn toward the held
+  // direction (or an autopilot's steering direction), slowing as it closes
+  // in so the torque available can stop it there, on top of the rate the
+  // direction itself turns at: as the rocket goes round its orbit, or for
+  // a target hold, as the line to the target swings round
+  getSASTargetRate(inertia, maxTorque) {
+    const rate = new THREE.Vector3();
+    const state = this.getRelativeState();
+    if (!state) return rate;
+    const direction = this.steeringDirection
+      ? this.steeringDirection.clone().normalize()
+      : getSASDirection(
+          this.sasMode,
+          state.position,
+          state.velocity,
+          this.getTargetOffset()
+        );
+    if (!direction) return rate;
+
+    const toBody = this.attitude.clone().invert();
+    const target = direction.applyQuaternion(toBody);
+    const axis = NOSE_AXIS.clone().cross(target);
+    const angle = Math.atan2(axis.length(), NOSE_AXIS.dot(target));
+    const [offset, motion] =
+      !this.steeringDirection && isTargetHold(this.sasMode)
+        ? [
+            this.getTargetOffset(),
+            this.sasTarget.velocity.clone().sub(this.velocity),
+          ]
+        : [state.position, state.velocity];
+    const directionRate = offset
+      .clone()
+      .cross(motion)
+      .divideScalar(offset.lengthSq())
+      .applyQuaternion(toBody);
+
+    // Pointing straight away, any turn axis will do
+    if (axis.lengthSq() < 1e-12) axis.copy(YAW_AXIS);
+    axis.normalize();
+
+    for (const bodyAxis of ["x", "z"]) {
+      const error = axis[bodyAxis] * angle;
+      const maxAcceleration = maxTorque[bodyAxis] / inertia[bodyAxis];
+      rate[bodyAxis] =
+        directionRate[bodyAxis] +
+        Math.sign(error) *
+          Math.min(
+            SAS_TURN_GAIN * Math.abs(error),
+            Math.sqrt(
+              2 * SAS_BRAKING_MARGIN * maxAcceleration * Math.abs(error)
+            )
+          );
     }
-    this.thrustMagnitude = mag;
+    return rate;
+  }
+
+  toggleRCS() {
+    this.rcs.enabled = !this.rcs.enabled;
   }
 
-  rotate(angle) {
-    // Don't allow rotation if crashed
+  // Spin the rocket up or down under the torque it can produce, then turn
+  // it by its angular velocity. With SAS on, every axis without input is
+  // given just enough torque to reach the rate SAS wants: zero, unless it
+  // is turning to a held direction.
+  updateRotation(deltaTime) {
     if (this.hasCrashed) return;
 
-    // Apply rotation to thrust direction
-    this.thrustDirection.applyAxisAngle(new THREE.Vector3(0, 0, 1), angle);
+    const inertia = this.getMomentOfInertia();
+    const maxTorque = this.getMaxTorque();
+    const input = this.rotationInput.clone();
+
+    if (this.sasEnabled) {
+      const targetRate = this.getSASTargetRate(inertia, maxTorque);
+      for (const axis of ["x", "y", "z"]) {
+        if (input[axis] !== 0 || maxTorque[axis] === 0) continue;
+        input[axis] = THREE.MathUtils.clamp(
+          ((targetRate[axis] - this.angularVelocity[axis]) * inertia[axis]) /
+            (maxTorque[axis] * deltaTime),
+          -1,
+          1
+        );
+      }
+    }
 
-    // Normalize to prevent any potential floating-point errors
-    this.thrustDirection.normalize();
+    // The thrusters fire in proportion to the input on each axis
+    this.rcs.consume(
+      Math.abs(input.x) + Math.abs(input.y) + Math.abs(input.z),
+      deltaTime
+    );
+    this.updateMass();
+
+    // Euler's equations for a rigid body: I dω/dt = τ - ω × Iω
+    const torque = input.multiply(maxTorque);
+    const angularMomentum = this.angularVelocity.clone().multiply(inertia);
+    const angularAcceleration = torque
+      .sub(this.angularVelocity.clone().cross(angularMomentum))
+      .divide(inertia);
+    this.angularVelocity.addScaledVector(angularAcceleration, deltaTime);
+
+    const angle = this.angularVelocity.length() * deltaTime;
+    if (angle > 0) {
+      const rotation = new THREE.Quaternion().setFromAxisAngle(
+        this.angularVelocity.clone().normalize(),
+        angle
+      );
+      this.attitude.multiply(rotation);
 
-    // Debug log to verify rotation is being called
-    console.log("Rotating rocket, new direction:", this.thrustDirection);
+      // Normalize to prevent floating-point drift building up over time
+      this.attitude.normalize();
+      this.updateThrustDirection();
+    }
+  }
+
+  updateThrustDirection() {
+    this.thrustDirection.copy(NOSE_AXIS).applyQuaternion(this.attitude);
+  }
+
+  // Nose direction relative to the local horizon of the reference body, in
+  // degrees. Pitch is the elevation above the horizon; heading is measured
+  // around the horizon from the prograde direction of an orbit in the
+  // reference plane towards its normal (+Z).
+  getAttitudeAngles() {
+    const body = this.referenceBody;
+    const up = body
+      ? new THREE.Vector3().copy(this.position).sub(body.position)
+      : new THREE.Vector3().copy(this.position);
+    up.normalize();
+
+    const east = new THREE.Vector3().crossVectors(REFERENCE_NORMAL, up);
+    if (east.lengthSq() < 1e-12) {
+      // Directly above a pole of the reference plane
+      east.copy(YAW_AXIS);
+    }
+    east.normalize();
+    const north = new THREE.Vector3().crossVectors(up, east);
+
+    const nose = this.thrustDirection;
+    const toDegrees = 180 / Math.PI;
+    const pitch =
+      Math.asin(THREE.MathUtils.clamp(nose.dot(up), -1, 1)) * toDegrees;
+    let heading = Math.atan2(nose.dot(north), nose.dot(east)) * toDegrees;
+    if (heading < 0) heading += 360;
+
+    return { pitch, heading };
   }
 
   // Method to add trail to scene
@@ -628,6 +1621,16 @@ export class Rocket {
     scene.add(this.trail);
   }
 
+  addToScene(scene) {
+    scene.add(this.mesh);
+    this.addTrailToScene(scene);
+  }
+
+  removeFromScene(scene) {
+    scene.remove(this.mesh);
+    scene.remove(this.trail);
+  }
+
   // Method to reset the rocket
   reset() {
     this.initializeRocket();
@@ -638,9 +1641,9 @@ export class Rocket {
     return this.hasCrashed;
   }
 
-  // Get fuel percentage (0-100)
+  // Get the active stage's fuel percentage (0-100)
   getFuelPercentage() {
-    return (this.fuel / this.maxFuel) * 100;
+    return this.getActiveStage().getFuelPercentage();
   }
 
   // Check if out of fuel
@@ -653,16 +1656,45 @@ export class Rocket {
     return this.isInOrbit;
   }
 
+  // Altitude above the surface of the reference body
+  getAltitude() {
+    return this.referenceBody
+      ? this.position.distanceTo(this.referenceBody.position) -
+          this.referenceBody.radius
+      : this.position.length() - this.earthRadius;
+  }
+
+  // Get the body whose sphere of influence the rocket is in
+  getReferenceBody() {
+    return this.referenceBody;
+  }
+
+  // Get the trajectory classification (one of TRAJECTORY, or null)
+  getTrajectory() {
+    return this.trajectory;
+  }
+
   // Get orbit period in seconds
   getOrbitPeriod() {
     return this.orbitPeriod;
   }
 
-  // Method to refill fuel
-  refillFuel(amount = this.maxFuel) {
-    this.fuel = Math.min(this.maxFuel, this.fuel + amount);
-    this.outOfFuel = this.fuel <= 0;
-    return this.fuel;
+  // Get the current orbit ({ body, elements }) or null before launch
+  getOrbit() {
+    return this.orbit;
+  }
+
+  // Method to refill every remaining stage's tank
+  refillFuel() {
+    this.stages.forEach((stage) => stage.refuel());
+    if (this.dockedVessel) {
+      this.dockedVessel.stages.forEach((stage) => stage.refuel());
+      this.dockedVessel.updateMass();
+    }
+    this.rcs.refuel();
+    this.outOfFuel = false;
+    this.updateMass();
+    return this.getActiveStage().fuel;
   }
 
   // Method to recover from a crash
@@ -671,6 +1703,7 @@ export class Rocket {
     this.crashCount = 0;
     this.crashEffectTriggered = false;
     this.velocity.set(0, 0, 0); // Reset motion
+    this.temperature = AMBIENT_TEMPERATURE;
 
     // Refill fuel
     this.refillFuel();
@@ -685,18 +1718,48 @@ export class Rocket {
       velocity: this.velocity.toArray(),
       speed: this.velocity.length(),
       force: this.force.toArray(),
-      fuel: this.fuel,
+      stage: this.getActiveStage().name,
+      stageCount: this.stages.length,
+      fuel: this.getActiveStage().fuel,
+      maxFuel: this.getActiveStage().maxFuel,
       fuelPercentage: this.getFuelPercentage(),
+      mass: this.mass,
+      specificImpulse: this.getActiveStage().engine.getSpecificImpulse(
+        this.getAtmosphericPressure()
+      ),
+      atmosphericPressure: this.getAtmosphericPressure(),
+      deltaV: this.getDeltaV(),
       isOutOfFuel: this.outOfFuel,
       isInOrbit: this.isInOrbit,
+      trajectory: this.trajectory,
       orbitPeriod: this.orbitPeriod,
       hasCrashed: this.hasCrashed,
       hasStarted: this.hasStarted,
-      altitude: this.position.length() - this.earthRadius,
+      landedState: this.landedState,
+      altitude: this.getAltitude(),
+      referenceBody: this.referenceBody ? this.referenceBody.name : null,
       thrustDirection: this.thrustDirection.toArray(),
+      attitude: this.attitude.toArray(),
+      angularVelocity: this.angularVelocity.toArray(),
+      sasEnabled: this.sasEnabled,
+      sasMode: this.sasMode,
+      rcsEnabled: this.rcs.enabled,
+      monopropellant: this.rcs.monopropellant,
       thrustMagnitude: this.thrustMagnitude,
-      lastCollisionTime: this.lastCollisionTime,
-      collisionCooldown: this.collisionCooldown,
+      throttle: this.getThrottle(),
+      dynamicPressure: this.dynamicPressure,
+      machNumber: this.machNumber,
+      heatFlux: this.heatFlux,
+      temperature: this.temperature,
+      integrator: INTEGRATORS[this.integrator].name,
+      specificEnergy: this.orbit ? this.orbit.elements.specificEnergy : null,
+      angularMomentum: this.orbit ? this.orbit.elements.angularMomentum : null,
+      energyDrift: this.conservationBaseline ? this.energyDrift : null,
+      angularMomentumDrift: this.conservationBaseline
+        ? this.angularMomentumDrift
+        : null,
+      missionTime: this.missionTime,
+      lastImpact: this.lastImpact,
     };
   }
 }
@@ -1,6 +1,7 @@
 import * as THREE from "three";
 import { Rocket } from "./rocket.js";
 import { CelestialBody } from "./celestialBody.js";
+import { TrajectoryPredictor } from "./trajectoryPredictor.js";
 
 // Function to load textures
 function loadTextures() {
@@ -61,9 +62,14 @@ export function createScene() {
     name: "Earth",
     radius: 2,
     mass: 5.972e24, // Earth's mass in kg
+    mu: 0.9, // Game gravitational parameter (G * M in game units)
     color: 0x0077ff, // Fallback color if texture fails to load
     hasAtmosphere: true,
     atmosphereColor: 0x4ca6ff,
+    atmosphereDensity: 1.0, // Air density at the surface
+    atmosphereScaleHeight: 1.0, // Density falls by 1/e every scale height
+    atmosphereHeight: 3.0, // No air above this altitude
+    speedOfSound: 0.3, // Mach 1
     position: new THREE.Vector3(0, 0, 0),
     textureMap: earthTextures.map,
     bumpMap: earthTextures.bumpMap,
@@ -76,22 +82,31 @@ export function createScene() {
   earth.addToScene(scene);
   celestialBodies.push(earth);
 
-  // Moon
+  // Moon. With Earth's mass 81 times its own, as for the real pair, its
+  // sphere of influence reaches 9 * (1/81)^0.4 ≈ 1.55 from it, so from its
+  // periapsis at 8.5 the sphere never comes within 6.95 of Earth's center.
+  // That leaves Earth orbits between the top of the atmosphere (altitude 3)
+  // and an altitude of nearly 5 that the Moon never pulls away.
   const moon = new CelestialBody({
     name: "Moon",
     radius: 0.5, // Moon is about 1/4 the size of Earth
     mass: 7.342e22, // Moon's mass in kg
+    mu: 0.011, // Game gravitational parameter, Earth's / 81
     color: 0xcccccc, // Fallback color if texture fails to load
     hasAtmosphere: false, // Moon has no atmosphere
-    position: new THREE.Vector3(5, 0, 0), // Initial position
+    position: new THREE.Vector3(9, 0, 0), // Initial position
     textureMap: moonTextures.map,
     bumpMap: moonTextures.bumpMap,
     rotationSpeed: 0.01, // Moon rotation speed (slower than Earth)
     isOrbiting: true, // Make the moon orbit
     orbitTarget: earth, // Orbit around Earth
-    orbitRadius: 5.0, // Orbit radius
-    orbitSpeed: 0.1, // Orbit speed (radians per second)
-    orbitAngle: 0, // Initial orbit angle
+    orbitMode: "kepler", // Orbit speed follows from Earth's gravity
+    semiMajorAxis: 9.0, // Average distance from Earth
+    eccentricity: 0.055, // Slightly elliptical, like the real Moon
+    inclination: 0, // In the plane of the rocket's launch (degrees)
+    argumentOfPeriapsis: 0, // Periapsis direction (degrees)
+    longitudeOfAscendingNode: 0, // Ascending node direction (degrees)
+    meanAnomalyAtEpoch: 0, // Start at periapsis (degrees)
     orbitClockwise: false, // Counter-clockwise orbit (like most moons)
     showOrbitPath: true, // Show the orbit path
     orbitPathColor: 0x888888, // Light gray orbit path
@@ -128,10 +143,19 @@ export function createScene() {
   scene.add(stars);
 
   // Rocket
-  const rocket = new Rocket(celestialBodies);
+  // The pad sits at the top of the view at launch; it is carried round
+  // as Earth turns, and launching east (pitching left) gains its speed
+  const rocket = new Rocket(celestialBodies, {
+    name: "Rocket 1",
+    launchSite: { latitude: 66.5, longitude: 90 },
+  });
   scene.add(rocket.mesh);
   rocket.addTrailToScene(scene);
 
+  // Where the rocket is heading, ahead of the trail of where it has been
+  const trajectoryPredictor = new TrajectoryPredictor(celestialBodies);
+  trajectoryPredictor.addToScene(scene);
+
   // Ambient light for basic illumination
   const ambientLight = new THREE.AmbientLight(0x404040);
   scene.add(ambientLight);
@@ -141,5 +165,5 @@ export function createScene() {
   light.position.set(5, 3, 5);
   scene.add(light);
 
-  return { scene, rocket, celestialBodies };
+  return { scene, rocket, celestialBodies, trajectoryPredictor };
 }
@@ -0,0 +1,19 @@
+import * as THREE from "three";
+
+// A sprite that keeps the same size on screen at any zoom, showing what
+// draw(context) paints on a width by height pixel canvas. It is drawn over
+// the scene, never hidden behind bodies.
+export function createScreenSprite(width, height, draw) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  draw(canvas.getContext("2d"));
+
+  return new THREE.Sprite(
+    new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      sizeAttenuation: false,
+      depthTest: false,
+    })
+  );
+}
@@ -0,0 +1,106 @@
+import * as THREE from "three";
+import { Engine } from "./engine.js";
+
+// One stage of a rocket: a structure with its own propellant tank and
+// engine. Stages are stacked bottom first; only the bottom stage's engine
+// fires, and it is discarded once empty.
+export class Stage {
+  constructor(options = {}) {
+    this.name = options.name || "Stage";
+    this.dryMass = options.dryMass || 0.5;
+    this.maxFuel = options.maxFuel || 0.5; // Propellant mass
+    this.fuel = this.maxFuel;
+    this.engine = new Engine(options.engine);
+
+    // Appearance
+    this.length = options.length || 0.1;
+    this.radius = options.radius || 0.05;
+    this.color = options.color || 0xffffff;
+
+    this.createMesh();
+  }
+
+  createMesh() {
+    this.mesh = new THREE.Mesh(
+      new THREE.CylinderGeometry(this.radius, this.radius, this.length, 16),
+      new THREE.MeshStandardMaterial({ color: this.color })
+    );
+  }
+
+  getMass() {
+    return this.dryMass + this.fuel;
+  }
+
+  // Moments of inertia about the stage's own center, as a solid cylinder:
+  // about a transverse axis, and about its long (roll) axis
+  getMomentOfInertia() {
+    const mass = this.getMass();
+    return {
+      transverse:
+        (mass * (3 * this.radius * this.radius + this.length * this.length)) /
+        12,
+      roll: (mass * this.radius * this.radius) / 2,
+    };
+  }
+
+  isEmpty() {
+    return this.fuel <= 0;
+  }
+
+  getFuelPercentage() {
+    return (this.fuel / this.maxFuel) * 100;
+  }
+
+  // Delta-v this stage can give when pushing payloadMass (everything
+  // stacked above it), from the Tsiolkovsky rocket equation. Defaults to
+  // the vacuum value.
+  getDeltaV(payloadMass = 0, pressure = 0) {
+    const finalMass = payloadMass + this.dryMass;
+    return (
+      this.engine.getExhaustVelocity(pressure) *
+      Math.log((finalMass + this.fuel) / finalMass)
+    );
+  }
+
+  refuel() {
+    this.fuel = this.maxFuel;
+  }
+}
+
+// The default two-stage launcher, bottom stage first. Launch mass is 2.
+export function createDefaultStages() {
+  return [
+    new Stage({
+      name: "Booster",
+      dryMass: 0.6,
+      maxFuel: 0.6,
+      // Full thrust at sea level is about 0.6
+      engine: {
+        name: "Booster Engine",
+        maxThrust: 0.66,
+        minThrottle: 0.4,
+        seaLevelIsp: 64,
+        vacuumIsp: 70,
+        gimbalRange: 5,
+      },
+      length: 0.12,
+      color: 0xffffff,
+    }),
+    new Stage({
+      name: "Upper Stage",
+      dryMass: 0.6,
+      maxFuel: 0.2,
+      // Vacuum-optimized: inefficient low in the atmosphere
+      engine: {
+        name: "Vacuum Engine",
+        maxThrust: 0.2,
+        minThrottle: 0.1,
+        seaLevelIsp: 60,
+        vacuumIsp: 85,
+        gimbalRange: 3,
+      },
+      length: 0.08,
+      color: 0xcccccc,
+    }),
+  ];
+}
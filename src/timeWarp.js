@@ -0,0 +1,249 @@
+import { findSphereOfInfluence } from "./celestialBody.js";
+import { Rocket } from "./rocket.js";
+import {
+  computeOrbitalElements,
+  getTimeToRadius,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+
+// From this speed up, time warp is "on rails": instead of running the
+// physics, a coasting rocket is moved analytically along its Kepler orbit
+export const RAILS_WARP_THRESHOLD = 1000;
+
+// How long before a predicted atmosphere entry, surface or sphere of
+// influence crossing the warp stops, so the crossing itself is flown in
+// physics
+const BOUNDARY_MARGIN = 5;
+
+// Most steps per frame. A step only ends short of the frame's warp time at
+// a boundary or where the search for one gave up, so the warp runs below
+// its nominal rate only past that.
+const MAX_RAILS_STEPS = 10;
+
+// The search for an entry into a moon's sphere of influence closes in to
+// this distance from the sphere, in at most this many steps
+const SPHERE_ENTRY_TOLERANCE = 0.01;
+const MAX_SPHERE_ENTRY_STEPS = 200;
+
+// Why rails warp was refused or dropped
+export const WARP_BLOCKER = {
+  CRASHED: "crashed",
+  THRUST: "thrust",
+  ATMOSPHERE: "atmosphere",
+  SURFACE: "surface", // About to come down on an airless body
+  SOI_CHANGE: "soiChange",
+  MANEUVER: "maneuver", // Time to start a planned burn
+  AUTOPILOT: "autopilot", // The ascent autopilot is flying
+  OTHER_VESSEL: "otherVessel", // Another rocket can't coast on rails
+};
+
+// The reason the rocket can't coast on rails right now, or null if it can.
+// A rocket resting on a surface may warp even inside an atmosphere.
+export function getRailsWarpBlocker(rocket) {
+  if (rocket.isCrashed()) return WARP_BLOCKER.CRASHED;
+  if (
+    rocket.thrustMagnitude > 0 ||
+    (rocket.getThrottle() > 0 && rocket.canThrust())
+  ) {
+    return WARP_BLOCKER.THRUST;
+  }
+  if (!rocket.surfaceAnchor && rocket.getAtmosphereBody()) {
+    return WARP_BLOCKER.ATMOSPHERE;
+  }
+  return null;
+}
+
+// The rockets among the vessels not under control that still fly, wrecks
+// aside. Dropped stages coast on rails whatever they're doing.
+function getOtherRockets(otherVessels) {
+  return otherVessels.filter(
+    (vessel) => vessel instanceof Rocket && !vessel.isCrashed()
+  );
+}
+
+// OTHER_VESSEL if any rocket besides the one under control can't coast on
+// rails right now, otherwise null
+export function getOtherVesselsWarpBlocker(otherVessels) {
+  return getOtherRockets(otherVessels).some((vessel) =>
+    getRailsWarpBlocker(vessel)
+  )
+    ? WARP_BLOCKER.OTHER_VESSEL
+    : null;
+}
+
+// When, coasting from state (relative to body), the vessel first comes
+// within the sphere of influence of other, a body orbiting that one:
+// { time, entered }, entered being false if the search gave up that far
+// ahead without finding it. Null if it doesn't within maxTime.
+function findSphereEntryTime(state, body, other, maxTime) {
+  // The band of distances from body at which the sphere can be reached,
+  // skipped to along the conic while outside it
+  const nearest = Math.max(0, other.getPeriapsisDistance() - other.soiRadius);
+  const farthest = other.getApoapsisDistance() + other.soiRadius;
+
+  // The two can't close faster than both their top speeds together, so
+  // stepping by the gap over that never jumps through the sphere
+  const { periapsis } = computeOrbitalElements(
+    state.position,
+    state.velocity,
+    body.mu
+  );
+  const topSpeed = Math.sqrt(
+    state.velocity.lengthSq() +
+      2 * body.mu * (1 / periapsis - 1 / state.position.length())
+  );
+  const maxClosingSpeed = topSpeed + other.getMaxOrbitalSpeed();
+
+  let time = 0;
+  for (let i = 0; i < MAX_SPHERE_ENTRY_STEPS; i++) {
+    if (time > maxTime) return null;
+
+    const { position, velocity } = propagateKeplerOrbit(
+      state.position,
+      state.velocity,
+      body.mu,
+      time
+    );
+    const distance = position.length();
+    if (
+      distance < nearest - SPHERE_ENTRY_TOLERANCE ||
+      distance > farthest + SPHERE_ENTRY_TOLERANCE
+    ) {
+      const skip = getTimeToRadius(
+        position,
+        velocity,
+        body.mu,
+        distance < nearest ? nearest : farthest
+      );
+      if (skip === null) return null;
+      time += skip;
+      continue;
+    }
+
+    const otherPosition = other
+      .getStateAt(time)
+      .position.sub(body.getStateAt(time).position);
+    const gap = position.distanceTo(otherPosition) - other.soiRadius;
+    if (gap <= SPHERE_ENTRY_TOLERANCE) return { time, entered: true };
+    time += gap / maxClosingSpeed;
+  }
+
+  return time > maxTime ? null : { time, entered: false };
+}
+
+// The first boundary the vessel's conic reaches within maxTime: its
+// reference body's atmosphere (or surface, without one), the edge of its
+// sphere of influence, or the sphere of a body orbiting that one.
+// Returns { time, blocker }, blocker being null where a search gave up
+// short of the boundary; null if there is none.
+function findNextBoundary(vessel, celestialBodies, maxTime) {
+  const state = vessel.getRelativeState();
+  if (!state) return null;
+
+  const body = vessel.referenceBody;
+  const boundaries = [];
+  const addBoundary = (time, blocker) => {
+    if (time !== null && time <= maxTime) boundaries.push({ time, blocker });
+  };
+
+  const airTop = body.radius + (body.hasAtmosphere ? body.atmosphereHeight : 0);
+  addBoundary(
+    getTimeToRadius(state.position, state.velocity, body.mu, airTop),
+    body.hasAtmosphere ? WARP_BLOCKER.ATMOSPHERE : WARP_BLOCKER.SURFACE
+  );
+  addBoundary(
+    getTimeToRadius(state.position, state.velocity, body.mu, body.soiRadius),
+    WARP_BLOCKER.SOI_CHANGE
+  );
+
+  for (const other of celestialBodies) {
+    if (other.orbitTarget !== body) continue;
+    const entry = findSphereEntryTime(state, body, other, maxTime);
+    if (entry) {
+      addBoundary(entry.time, entry.entered ? WARP_BLOCKER.SOI_CHANGE : null);
+    }
+  }
+
+  if (boundaries.length === 0) return null;
+  return boundaries.reduce((first, boundary) =>
+    boundary.time < first.time ? boundary : first
+  );
+}
+
+// The first boundary reached by the rocket or any other rocket within
+// maxTime, as from findNextBoundary; the other rockets' are OTHER_VESSEL
+function findFirstBoundary(rocket, celestialBodies, otherRockets, maxTime) {
+  let first = findNextBoundary(rocket, celestialBodies, maxTime);
+  for (const vessel of otherRockets) {
+    const boundary = findNextBoundary(vessel, celestialBodies, maxTime);
+    if (boundary && (!first || boundary.time < first.time)) {
+      first = {
+        time: boundary.time,
+        blocker: boundary.blocker && WARP_BLOCKER.OTHER_VESSEL,
+      };
+    }
+  }
+  return first;
+}
+
+// Advance the bodies, the rocket and the other vessels in flight by
+// deltaTime on rails. The time is taken in as few steps as possible, the
+// last stopping just short of any atmosphere, surface or sphere of
+// influence crossing the conic of the rocket or another rocket reaches,
+// and the reason is returned; otherwise returns null.
+export function warpOnRails(rocket, celestialBodies, otherVessels, deltaTime) {
+  const otherRockets = getOtherRockets(otherVessels);
+  let remaining = deltaTime;
+
+  for (let i = 0; i < MAX_RAILS_STEPS && remaining > 0; i++) {
+    // Look far enough ahead to see a boundary whose margin starts this frame
+    let stepTime = remaining;
+    let blocker = null;
+    const boundary = findFirstBoundary(
+      rocket,
+      celestialBodies,
+      otherRockets,
+      remaining + BOUNDARY_MARGIN
+    );
+    if (boundary) {
+      const stopTime = boundary.blocker
+        ? boundary.time - BOUNDARY_MARGIN
+        : boundary.time;
+      if (stopTime <= remaining) {
+        stepTime = Math.max(0, stopTime);
+        blocker = boundary.blocker;
+      }
+    }
+
+    // States relative to each reference body, taken before the bodies move
+    const rocketState = rocket.getRelativeState();
+    const vesselStates = otherVessels.map((vessel) =>
+      vessel.getRelativeState()
+    );
+
+    for (const body of celestialBodies) {
+      body.update(stepTime);
+    }
+    rocket.coastOnRails(rocketState, stepTime);
+    otherVessels.forEach((vessel, index) =>
+      vessel.coastOnRails(vesselStates[index], stepTime)
+    );
+    remaining -= stepTime;
+
+    if (rocket.isCrashed()) return WARP_BLOCKER.CRASHED;
+    if (blocker) return blocker;
+
+    // Crossings the prediction missed, caught after the fact
+    if (!rocket.surfaceAnchor && rocket.getAtmosphereBody()) {
+      return WARP_BLOCKER.ATMOSPHERE;
+    }
+    const body = findSphereOfInfluence(celestialBodies, rocket.position);
+    if (!rocket.surfaceAnchor && body && body !== rocket.referenceBody) {
+      return WARP_BLOCKER.SOI_CHANGE;
+    }
+    const otherBlocker = getOtherVesselsWarpBlocker(otherRockets);
+    if (otherBlocker) return otherBlocker;
+  }
+
+  return null;
+}
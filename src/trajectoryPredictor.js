@@ -0,0 +1,387 @@
+import * as THREE from "three";
+import {
+  computeOrbitalElements,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+import { createScreenSprite } from "./sprites.js";
+
+// Points marked along the predicted path
+export const TRAJECTORY_MARKER = {
+  APOAPSIS: "apoapsis",
+  PERIAPSIS: "periapsis",
+  ATMOSPHERE_ENTRY: "atmosphereEntry",
+  IMPACT: "impact",
+  SOI_CHANGE: "soiChange",
+  CLOSEST_APPROACH: "closestApproach", // To the target body, if one is set
+};
+
+const MARKER_STYLES = {
+  [TRAJECTORY_MARKER.APOAPSIS]: { label: "Ap", color: "#4da6ff" },
+  [TRAJECTORY_MARKER.PERIAPSIS]: { label: "Pe", color: "#4da6ff" },
+  [TRAJECTORY_MARKER.ATMOSPHERE_ENTRY]: { label: "Atmo", color: "#ffaa33" },
+  [TRAJECTORY_MARKER.IMPACT]: { label: "Impact", color: "#ff4444" },
+  [TRAJECTORY_MARKER.SOI_CHANGE]: { label: "SOI", color: "#cc88ff" },
+  [TRAJECTORY_MARKER.CLOSEST_APPROACH]: { label: "CA", color: "#66ff66" },
+};
+
+// Each step is this fraction of the local orbital timescale sqrt(r³/μ), so
+// steps are short near a body and long far from it. A full circular orbit
+// takes about 200 steps.
+const STEP_FRACTION = 0.03;
+const MAX_STEPS = 600;
+
+// Paths escaping every sphere of influence end this far from their body
+const MAX_DISTANCE = 100;
+
+// Distance from a body's center at which the rocket touches down, matching
+// the rocket's own collision radius
+const IMPACT_MARGIN = 0.1;
+
+// Predicts the rocket's coasting path from its current state. Within each
+// sphere of influence the path follows the conic around that body; on
+// crossing into or out of a sphere it carries on around the new body, using
+// where that body will be at the time. Each part of the path is drawn
+// relative to its body, so an orbit around the Moon stays around the Moon.
+// With a target body set, the point of the path closest to it is marked.
+// For planning, the path can be followed through bodies instead of ending
+// where it hits one.
+export class TrajectoryPredictor {
+  constructor(celestialBodies = [], options = {}) {
+    this.celestialBodies = celestialBodies;
+    this.target = options.target || null;
+    this.stopAtImpact = options.stopAtImpact !== false;
+    this.prediction = null;
+
+    const positions = new Float32Array((MAX_STEPS + 1) * 3);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setDrawRange(0, 0);
+    this.line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({
+        color: options.color || 0x00ffcc,
+        transparent: true,
+        opacity: 0.7,
+      })
+    );
+    this.line.frustumCulled = false;
+    this.line.visible = false;
+
+    // One marker per kind; only the first point of each kind is shown
+    this.markers = {};
+    for (const type of Object.values(TRAJECTORY_MARKER)) {
+      this.markers[type] = createMarkerSprite(MARKER_STYLES[type]);
+    }
+  }
+
+  addToScene(scene) {
+    scene.add(this.line);
+    for (const marker of Object.values(this.markers)) {
+      scene.add(marker);
+    }
+  }
+
+  // The predicted path from a position and velocity in the sphere of
+  // influence of referenceBody, startTime from now: the points to draw with
+  // the time of each, and the markers along it, each with its kind,
+  // position, time and body. Times are from now. The closest approach to
+  // the target is also given on its own, with its distance from the
+  // target's center, or null without a target.
+  predict(position, velocity, referenceBody, startTime = 0) {
+    let body = referenceBody;
+    let relativePosition = position.clone().sub(body.position);
+    let relativeVelocity = velocity.clone().sub(body.velocity);
+    // Where the current body is drawn
+    let origin = body.position.clone();
+
+    const points = [position.clone()];
+    const times = [startTime];
+    const markers = [];
+    let closestApproach = null;
+    let time = startTime;
+
+    let segment = this.startSegment(
+      body,
+      relativePosition,
+      relativeVelocity,
+      origin,
+      time
+    );
+    let inAtmosphere = isInsideAtmosphere(body, relativePosition);
+
+    for (let step = 0; step < MAX_STEPS; step++) {
+      const r = relativePosition.length();
+      const stepTime = STEP_FRACTION * Math.sqrt((r * r * r) / body.mu);
+
+      ({ position: relativePosition, velocity: relativeVelocity } =
+        propagateKeplerOrbit(
+          relativePosition,
+          relativeVelocity,
+          body.mu,
+          stepTime
+        ));
+      time += stepTime;
+      const point = origin.clone().add(relativePosition);
+
+      if (this.target) {
+        const distance = this.getTargetDistance(body, relativePosition, time);
+        if (!closestApproach || distance < closestApproach.distance) {
+          closestApproach = {
+            type: TRAJECTORY_MARKER.CLOSEST_APPROACH,
+            position: point.clone(),
+            time,
+            body,
+            distance,
+          };
+        }
+      }
+
+      if (
+        this.stopAtImpact &&
+        relativePosition.length() <= body.radius + IMPACT_MARGIN
+      ) {
+        const impactPoint = relativePosition
+          .clone()
+          .setLength(body.radius)
+          .add(origin);
+        points.push(impactPoint);
+        times.push(time);
+        markers.push({
+          type: TRAJECTORY_MARKER.IMPACT,
+          position: impactPoint,
+          time,
+          body,
+        });
+        break;
+      }
+      points.push(point);
+      times.push(time);
+
+      const nowInAtmosphere = isInsideAtmosphere(body, relativePosition);
+      if (nowInAtmosphere && !inAtmosphere) {
+        markers.push({
+          type: TRAJECTORY_MARKER.ATMOSPHERE_ENTRY,
+          position: point.clone(),
+          time,
+          body,
+        });
+      }
+      inAtmosphere = nowInAtmosphere;
+
+      // Sphere of influence changes, checked where the bodies will be
+      const bodyState = body.getStateAt(time);
+      const worldPosition = bodyState.position.clone().add(relativePosition);
+      const nextBody = this.findNextBody(body, worldPosition, time);
+      if (nextBody) {
+        const nextState = nextBody.getStateAt(time);
+        relativeVelocity.add(bodyState.velocity).sub(nextState.velocity);
+        relativePosition = worldPosition.sub(nextState.position);
+        // A body being entered is drawn where it will be then; on leaving,
+        // the path goes back to being drawn around the parent as it is now
+        origin =
+          nextBody.orbitTarget === body
+            ? nextState.position.clone()
+            : nextBody.position.clone();
+        body = nextBody;
+
+        markers.push(...reachedApsides(segment, time), {
+          type: TRAJECTORY_MARKER.SOI_CHANGE,
+          position: point.clone(),
+          time,
+          body,
+        });
+        segment = this.startSegment(
+          body,
+          relativePosition,
+          relativeVelocity,
+          origin,
+          time
+        );
+        inAtmosphere = isInsideAtmosphere(body, relativePosition);
+        continue;
+      }
+
+      // A closed orbit is complete after one period
+      if (time - segment.startTime >= segment.period) break;
+      if (relativePosition.length() > MAX_DISTANCE) break;
+    }
+
+    markers.push(...reachedApsides(segment, time));
+    if (closestApproach) markers.push(closestApproach);
+    markers.sort((a, b) => a.time - b.time);
+    return { points, times, markers, closestApproach };
+  }
+
+  // Distance from the target's center, time from now, of a point on the
+  // path around body
+  getTargetDistance(body, relativePosition, time) {
+    if (body === this.target) return relativePosition.length();
+
+    return body
+      .getStateAt(time)
+      .position.add(relativePosition)
+      .distanceTo(this.target.getStateAt(time).position);
+  }
+
+  // Start a part of the path following the conic around body from here,
+  // with markers for the apsides ahead on it
+  startSegment(body, relativePosition, relativeVelocity, origin, time) {
+    const elements = computeOrbitalElements(
+      relativePosition,
+      relativeVelocity,
+      body.mu
+    );
+    const segment = {
+      startTime: time,
+      period: elements.isClosed ? elements.period : Infinity,
+      apsides: [],
+    };
+
+    // A circular orbit has no distinct apsides
+    if (elements.eccentricity < 1e-4) return segment;
+
+    // The apsides lie along the eccentricity vector
+    const h = relativePosition.clone().cross(relativeVelocity);
+    const direction = relativeVelocity
+      .clone()
+      .cross(h)
+      .divideScalar(body.mu)
+      .sub(relativePosition.clone().normalize())
+      .normalize();
+
+    // Only apsides still ahead are marked; an open path is past its
+    // periapsis once heading out
+    if (elements.timeToPeriapsis !== null && elements.periapsis > body.radius) {
+      segment.apsides.push({
+        type: TRAJECTORY_MARKER.PERIAPSIS,
+        position: direction
+          .clone()
+          .multiplyScalar(elements.periapsis)
+          .add(origin),
+        time: time + elements.timeToPeriapsis,
+        body,
+      });
+    }
+    if (elements.isClosed && elements.apoapsis < body.soiRadius) {
+      segment.apsides.push({
+        type: TRAJECTORY_MARKER.APOAPSIS,
+        position: direction
+          .clone()
+          .multiplyScalar(-elements.apoapsis)
+          .add(origin),
+        time: time + elements.timeToApoapsis,
+        body,
+      });
+    }
+
+    return segment;
+  }
+
+  // The body whose sphere of influence a path around body crosses into at
+  // worldPosition: one orbiting body that it has entered, or the body's own
+  // parent once it has left. Null if it stays with body.
+  findNextBody(body, worldPosition, time) {
+    for (const other of this.celestialBodies) {
+      if (other.orbitTarget !== body) continue;
+      if (
+        worldPosition.distanceTo(other.getStateAt(time).position) <
+        other.soiRadius
+      ) {
+        return other;
+      }
+    }
+
+    if (
+      body.orbitTarget &&
+      worldPosition.distanceTo(body.getStateAt(time).position) > body.soiRadius
+    ) {
+      return body.orbitTarget;
+    }
+    return null;
+  }
+
+  // Recompute the prediction for the rocket and redraw it. Nothing is shown
+  // before launch, after a crash, or while resting on a surface.
+  update(rocket) {
+    const body = rocket.getReferenceBody();
+    if (
+      rocket.hasStarted &&
+      !rocket.isCrashed() &&
+      !rocket.surfaceAnchor &&
+      body
+    ) {
+      this.show(rocket.position, rocket.velocity, body);
+    } else {
+      this.hide();
+    }
+  }
+
+  // Predict and draw the path from a state, as for predict
+  show(position, velocity, referenceBody, startTime = 0) {
+    this.prediction = this.predict(
+      position,
+      velocity,
+      referenceBody,
+      startTime
+    );
+    const { points, markers } = this.prediction;
+
+    const positions = this.line.geometry.attributes.position;
+    points.forEach((point, index) => {
+      positions.setXYZ(index, point.x, point.y, point.z);
+    });
+    positions.needsUpdate = true;
+    this.line.geometry.setDrawRange(0, points.length);
+    this.line.visible = true;
+
+    for (const marker of Object.values(this.markers)) {
+      marker.visible = false;
+    }
+    for (const { type, position } of markers) {
+      const marker = this.markers[type];
+      if (marker.visible) continue;
+      marker.position.copy(position);
+      marker.visible = true;
+    }
+  }
+
+  hide() {
+    this.prediction = null;
+    this.line.visible = false;
+    for (const marker of Object.values(this.markers)) {
+      marker.visible = false;
+    }
+  }
+}
+
+// The apsides of a part of the path that are passed before it ends at
+// endTime, by impact or leaving the sphere of influence
+function reachedApsides(segment, endTime) {
+  return segment.apsides.filter((apsis) => apsis.time <= endTime);
+}
+
+function isInsideAtmosphere(body, relativePosition) {
+  return (
+    body.hasAtmosphere &&
+    relativePosition.length() - body.radius < body.atmosphereHeight
+  );
+}
+
+// A label that keeps the same size on screen at any zoom
+function createMarkerSprite({ label, color }) {
+  const sprite = createScreenSprite(128, 64, (context) => {
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(64, 48, 10, 0, Math.PI * 2);
+    context.fill();
+    context.font = "bold 28px Arial";
+    context.textAlign = "center";
+    context.fillText(label, 64, 28);
+  });
+  sprite.scale.set(0.08, 0.04, 1);
+  // Put the dot, not the label, on the marked point
+  sprite.center.set(0.5, 0.25);
+  sprite.visible = false;
+  sprite.renderOrder = 1;
+  return sprite;
+}
@@ -0,0 +1,402 @@
+import * as THREE from "three";
+import {
+  MANEUVER_DIRECTION,
+  propagateKeplerOrbit,
+} from "./orbitalMechanics.js";
+import { ManeuverNode } from "./maneuverNode.js";
+import { TrajectoryPredictor } from "./trajectoryPredictor.js";
+
+// Kinds of transfer the planner works out
+export const TRANSFER_TYPE = {
+  INTERCEPT: "intercept", // Out to a body orbiting the current one
+  RETURN: "return", // Back from a moon to the body it orbits
+};
+
+// Altitudes of the closest approach aimed for by default: just past the
+// Moon, and back at Earth deep enough into the air to reenter
+const DEFAULT_INTERCEPT_ALTITUDE = 0.3;
+const DEFAULT_RETURN_ALTITUDE = 1.5;
+
+// Departure times are tried this many times per orbit of the rocket, over
+// at most this many orbits
+const SEARCH_STEPS_PER_ORBIT = 72;
+const MAX_SEARCH_ORBITS = 20;
+
+// The burn of the ideal transfer is then tuned against the predicted path.
+// Burns around it are tried first, over an orbit and at these fractions of
+// its size, since the pull of the body being left can bend the path far
+// from the ideal; the best is then nudged in time and size this many times.
+const SCAN_STEPS_PER_ORBIT = 24;
+const SCAN_DELTA_V_SCALES = [0.6, 0.8, 1, 1.2, 1.4];
+const REFINE_ITERATIONS = 30;
+
+// Plans the departure burn from the rocket's orbit to another body: out to
+// the Moon from an orbit around Earth, or back to Earth from one around the
+// Moon. The ideal Hohmann transfer gives the burn, using where the Moon will
+// be along its orbit, and the burn is then tuned so the path the trajectory
+// predictor draws passes the target at the chosen altitude.
+export class TransferPlanner {
+  constructor(celestialBodies = [], options = {}) {
+    this.celestialBodies = celestialBodies;
+    this.interceptAltitude =
+      options.interceptAltitude || DEFAULT_INTERCEPT_ALTITUDE;
+    this.returnAltitude = options.returnAltitude || DEFAULT_RETURN_ALTITUDE;
+    // Paths through the target still have a closest approach, so the
+    // search can steer them out of it
+    this.predictor = new TrajectoryPredictor(celestialBodies, {
+      stopAtImpact: false,
+    });
+  }
+
+  // Where a transfer from an orbit around body goes: out to a body orbiting
+  // it, or back to the one it orbits. Null if neither exists.
+  getDestination(body) {
+    const moon = this.celestialBodies.find(
+      (other) => other.isOrbiting && other.orbitTarget === body
+    );
+    if (moon) return { type: TRANSFER_TYPE.INTERCEPT, target: moon };
+    if (body.orbitTarget) {
+      return { type: TRANSFER_TYPE.RETURN, target: body.orbitTarget };
+    }
+    return null;
+  }
+
+  // The transfer from the rocket's current orbit, with a maneuver node for
+  // its departure burn, or null if the rocket isn't on a closed orbit or no
+  // departure was found. Times are from now and angles in degrees; the
+  // phase angle is how far the target leads the rocket at departure on an
+  // intercept, and how far the burn is from the body's direction of travel
+  // on a return.
+  plan(rocket) {
+    const body = rocket.getReferenceBody();
+    const state = rocket.getRelativeState();
+    if (
+      !body ||
+      !state ||
+      rocket.isCrashed() ||
+      !rocket.orbit ||
+      !rocket.orbit.elements.isClosed
+    ) {
+      return null;
+    }
+
+    const destination = this.getDestination(body);
+    if (!destination) return null;
+    const { type, target } = destination;
+    const period = rocket.orbit.elements.period;
+
+    const departure =
+      type === TRANSFER_TYPE.INTERCEPT
+        ? this.findInterceptDeparture(body, target, state, period)
+        : this.findReturnDeparture(body, target, state, period);
+    if (!departure) return null;
+
+    const altitude =
+      type === TRANSFER_TYPE.INTERCEPT
+        ? this.interceptAltitude
+        : this.returnAltitude;
+    this.predictor.target = target;
+    const burn = this.refine(
+      body,
+      state,
+      departure,
+      target.radius + altitude,
+      period
+    );
+
+    const node = new ManeuverNode(body, rocket.missionTime + burn.time);
+    node.deltaV[MANEUVER_DIRECTION.PROGRADE] = burn.deltaV;
+    node.target = target;
+
+    return {
+      type,
+      target,
+      node,
+      departureTime: burn.time,
+      deltaV: burn.deltaV,
+      transferTime: departure.transferTime,
+      phaseAngle: departure.phaseAngle,
+      currentPhaseAngle: departure.currentPhaseAngle,
+      closestApproach: burn.closestApproach,
+    };
+  }
+
+  // Departure for a Hohmann transfer out to target: the first time the
+  // point opposite the rocket, where the transfer orbit would reach the
+  // target's distance half an orbit later, meets the target there
+  findInterceptDeparture(body, target, state, period) {
+    const normal = state.position.clone().cross(state.velocity).normalize();
+    const step = period / SEARCH_STEPS_PER_ORBIT;
+
+    let previous = null;
+    for (let i = 0; i <= SEARCH_STEPS_PER_ORBIT * MAX_SEARCH_ORBITS; i++) {
+      const candidate = this.getInterceptMiss(
+        body,
+        target,
+        state,
+        normal,
+        i * step
+      );
+
+      // The miss angle passes through zero, not round from -180° to 180°
+      if (
+        previous &&
+        previous.miss < 0 !== candidate.miss < 0 &&
+        Math.abs(candidate.miss - previous.miss) < Math.PI
+      ) {
+        let before = previous;
+        let after = candidate;
+        for (let j = 0; j < 30; j++) {
+          const middle = this.getInterceptMiss(
+            body,
+            target,
+            state,
+            normal,
+            (before.time + after.time) / 2
+          );
+          if (middle.miss < 0 === before.miss < 0) {
+            before = middle;
+          } else {
+            after = middle;
+          }
+        }
+        return this.getInterceptDeparture(body, target, state, normal, after);
+      }
+      previous = candidate;
+    }
+    return null;
+  }
+
+  // For a departure time from now: the angle the target misses the far end
+  // of the transfer by, measured around the rocket's orbit normal
+  getInterceptMiss(body, target, state, normal, time) {
+    const departure = propagateKeplerOrbit(
+      state.position,
+      state.velocity,
+      body.mu,
+      time
+    );
+    const r1 = departure.position.length();
+
+    // The target's distance at arrival sets the transfer time, which in
+    // turn sets where the target is; a few rounds settle both
+    let r2 = target.semiMajorAxis;
+    let transferTime = 0;
+    let targetPosition = null;
+    for (let i = 0; i < 3; i++) {
+      transferTime = Math.PI * Math.sqrt(Math.pow((r1 + r2) / 2, 3) / body.mu);
+      targetPosition = getPositionAround(target, body, time + transferTime);
+      r2 = targetPosition.length();
+    }
+
+    const arrival = departure.position.clone().negate();
+    return {
+      time,
+      miss: signedAngle(arrival, targetPosition, normal),
+      departure,
+      r1,
+      r2,
+      transferTime,
+    };
+  }
+
+  getInterceptDeparture(body, target, state, normal, candidate) {
+    const { time, departure, r1, r2, transferTime } = candidate;
+
+    // Vis-viva speed at the start of the transfer orbit
+    const transferSpeed = Math.sqrt(body.mu * (2 / r1 - 2 / (r1 + r2)));
+    const toDegrees = 180 / Math.PI;
+    return {
+      time,
+      deltaV: transferSpeed - departure.velocity.length(),
+      transferTime,
+      phaseAngle:
+        signedAngle(
+          departure.position,
+          getPositionAround(target, body, time),
+          normal
+        ) * toDegrees,
+      currentPhaseAngle:
+        signedAngle(
+          state.position,
+          getPositionAround(target, body, 0),
+          normal
+        ) * toDegrees,
+    };
+  }
+
+  // Departure for a return to target from an orbit around body: a
+  // Hohmann transfer down from body's distance needs the rocket to leave
+  // body's sphere of influence backwards along body's orbit, this much
+  // slower than body. The burn goes where the hyperbola out turns to that
+  // direction, found over one orbit of the rocket.
+  findReturnDeparture(body, target, state, period) {
+    const normal = state.position.clone().cross(state.velocity).normalize();
+    const bodyState = getStateAround(body, target, 0);
+    const bodyDistance = bodyState.position.length();
+    const periapsis = target.radius + this.returnAltitude;
+
+    const apoapsisSpeed = Math.sqrt(
+      (target.mu * 2 * periapsis) / (bodyDistance * (bodyDistance + periapsis))
+    );
+    const excessSpeed = Math.abs(bodyState.velocity.length() - apoapsisSpeed);
+
+    let best = null;
+    for (let i = 0; i < SEARCH_STEPS_PER_ORBIT; i++) {
+      const time = (i * period) / SEARCH_STEPS_PER_ORBIT;
+      const departure = propagateKeplerOrbit(
+        state.position,
+        state.velocity,
+        body.mu,
+        time
+      );
+      const r0 = departure.position.length();
+
+      // On a hyperbola the asymptote lies acos(-1/e) round from periapsis
+      const eccentricity = 1 + (r0 * excessSpeed * excessSpeed) / body.mu;
+      const turnAngle = Math.acos(-1 / eccentricity);
+      const exitDirection = projectOntoPlane(
+        getStateAround(body, target, time).velocity.negate(),
+        normal
+      );
+      const burnDirection = exitDirection.applyAxisAngle(normal, -turnAngle);
+
+      const alignment = departure.position
+        .clone()
+        .normalize()
+        .dot(burnDirection);
+      if (!best || alignment > best.alignment) {
+        best = { time, departure, r0, alignment };
+      }
+    }
+
+    const { time, departure, r0 } = best;
+    const departureSpeed = Math.sqrt(
+      excessSpeed * excessSpeed + (2 * body.mu) / r0
+    );
+    const bodyDirection = getStateAround(body, target, time).velocity;
+    const toDegrees = 180 / Math.PI;
+    return {
+      time,
+      deltaV: departureSpeed - departure.velocity.length(),
+      transferTime:
+        Math.PI *
+        Math.sqrt(Math.pow((bodyDistance + periapsis) / 2, 3) / target.mu),
+      phaseAngle:
+        signedAngle(bodyDirection, departure.position, normal) * toDegrees,
+      currentPhaseAngle:
+        signedAngle(bodyState.velocity, state.position, normal) * toDegrees,
+    };
+  }
+
+  // Tune the burn's time and size so the predicted closest approach to the
+  // target comes to desiredDistance from its center: the best of a scan
+  // around the ideal transfer's burn, improved by a compass search that
+  // halves its steps when nothing nearby helps
+  refine(body, state, departure, desiredDistance, period) {
+    let best = null;
+    for (let i = 0; i < SCAN_STEPS_PER_ORBIT; i++) {
+      const time = departure.time + (i / SCAN_STEPS_PER_ORBIT - 0.5) * period;
+      if (time < 0) continue;
+      for (const scale of SCAN_DELTA_V_SCALES) {
+        const candidate = this.evaluate(
+          body,
+          state,
+          time,
+          departure.deltaV * scale,
+          desiredDistance
+        );
+        if (!best || candidate.error < best.error) best = candidate;
+      }
+    }
+
+    let timeStep = period / SCAN_STEPS_PER_ORBIT;
+    let deltaVStep = Math.max(Math.abs(departure.deltaV) * 0.1, 0.005);
+
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+      const candidates = [
+        [best.time + timeStep, best.deltaV],
+        [best.time - timeStep, best.deltaV],
+        [best.time, best.deltaV + deltaVStep],
+        [best.time, best.deltaV - deltaVStep],
+      ];
+
+      let improved = false;
+      for (const [time, deltaV] of candidates) {
+        if (time < 0) continue;
+        const candidate = this.evaluate(
+          body,
+          state,
+          time,
+          deltaV,
+          desiredDistance
+        );
+        if (candidate.error < best.error) {
+          best = candidate;
+          improved = true;
+        }
+      }
+      if (!improved) {
+        timeStep /= 2;
+        deltaVStep /= 2;
+      }
+    }
+    return best;
+  }
+
+  // The predicted closest approach to the target after burning deltaV
+  // along the velocity, time from now, and how far it is from the one
+  // wanted
+  evaluate(body, state, time, deltaV, desiredDistance) {
+    const departure = propagateKeplerOrbit(
+      state.position,
+      state.velocity,
+      body.mu,
+      time
+    );
+    const velocity = departure.velocity
+      .clone()
+      .setLength(departure.velocity.length() + deltaV);
+
+    const { closestApproach } = this.predictor.predict(
+      body.position.clone().add(departure.position),
+      body.velocity.clone().add(velocity),
+      body,
+      time
+    );
+    return {
+      time,
+      deltaV,
+      closestApproach,
+      error: closestApproach
+        ? Math.abs(closestApproach.distance - desiredDistance)
+        : Infinity,
+    };
+  }
+}
+
+// Position and velocity of body relative to center, time from now
+function getStateAround(body, center, time) {
+  const bodyState = body.getStateAt(time);
+  const centerState = center.getStateAt(time);
+  return {
+    position: bodyState.position.sub(centerState.position),
+    velocity: bodyState.velocity.sub(centerState.velocity),
+  };
+}
+
+function getPositionAround(body, center, time) {
+  return getStateAround(body, center, time).position;
+}
+
+function projectOntoPlane(vector, normal) {
+  return vector.addScaledVector(normal, -vector.dot(normal)).normalize();
+}
+
+// Angle in radians from one direction to another, turning about axis, with
+// both seen in the plane square to it
+function signedAngle(from, to, axis) {
+  const a = projectOntoPlane(from.clone(), axis);
+  const b = projectOntoPlane(to.clone(), axis);
+  return Math.atan2(axis.dot(new THREE.Vector3().crossVectors(a, b)), a.dot(b));
+}
@@ -1,3 +1,40 @@
+import { TRAJECTORY } from "./orbitalMechanics.js";
+import { LANDING_STATE } from "./landing.js";
+import { SAS_MODE } from "./attitudeControl.js";
+
+// What the speed readout is measured against: the orbited body's centre,
+// or the ground below, which turns with the body
+export const SPEED_MODE = {
+  ORBITAL: "orbital",
+  SURFACE: "surface",
+};
+
+const SPEED_MODE_LABELS = {
+  [SPEED_MODE.ORBITAL]: "Orbital Speed",
+  [SPEED_MODE.SURFACE]: "Surface Speed",
+};
+
+// HUD names of the SAS hold modes
+const SAS_MODE_LABELS = {
+  [SAS_MODE.STABILITY]: "Stability",
+  [SAS_MODE.PROGRADE]: "Prograde",
+  [SAS_MODE.RETROGRADE]: "Retrograde",
+  [SAS_MODE.NORMAL]: "Normal",
+  [SAS_MODE.ANTI_NORMAL]: "Anti-normal",
+  [SAS_MODE.RADIAL_OUT]: "Radial Out",
+  [SAS_MODE.RADIAL_IN]: "Radial In",
+  [SAS_MODE.TARGET]: "Target",
+  [SAS_MODE.ANTI_TARGET]: "Anti-target",
+};
+
+// Status line text and color for each trajectory classification
+const TRAJECTORY_STATUS = {
+  [TRAJECTORY.ORBITING]: { text: "In Stable Orbit!", color: "#00ff00" },
+  [TRAJECTORY.SUBORBITAL]: { text: "Sub-orbital", color: "#ffff00" },
+  [TRAJECTORY.ESCAPE]: { text: "Escape Trajectory", color: "#ff9900" },
+  [TRAJECTORY.IMPACT]: { text: "Impact Trajectory", color: "#ff3300" },
+};
+
 export function updateUI(
   altitude,
   speed,
@@ -7,17 +44,22 @@ export function updateUI(
   isInOrbit = false,
   orbitTime = "N/A",
   simulationSpeed = 1,
-  closestBody = "Earth"
+  orbitingBody = "Earth",
+  orbit = null,
+  landedState = null,
+  speedMode = SPEED_MODE.ORBITAL
 ) {
   document.getElementById("altitude").textContent = altitude.toFixed(2);
   document.getElementById("speed").textContent = speed.toFixed(2);
+  document.getElementById("speed-label").textContent =
+    SPEED_MODE_LABELS[speedMode];
 
   // Add orbit status indicator and fuel gauge
   const orbitStatus = document.getElementById("orbit-status");
   const fuelGauge = document.getElementById("fuel-gauge");
   const orbitTimeElement = document.getElementById("orbit-time");
   const simSpeedElement = document.getElementById("sim-speed");
-  const closestBodyElement = document.getElementById("closest-body");
+  const orbitingBodyElement = document.getElementById("orbiting-body");
 
   if (!orbitStatus) {
     const uiElement = document.getElementById("ui");
@@ -28,27 +70,34 @@ export function updateUI(
       'Simulation Speed: <span id="sim-speed">1x</span>';
     uiElement.appendChild(simSpeedContainer);
 
-    // Add closest body indicator
-    const closestBodyContainer = document.createElement("p");
-    closestBodyContainer.innerHTML =
-      'Closest Body: <span id="closest-body">Earth</span>';
-    uiElement.appendChild(closestBodyContainer);
+    // Add indicator for the body whose sphere of influence we are in
+    const orbitingBodyContainer = document.createElement("p");
+    orbitingBodyContainer.innerHTML =
+      'Orbiting: <span id="orbiting-body">Earth</span>';
+    uiElement.appendChild(orbitingBodyContainer);
 
     // Add fuel gauge
     const fuelElement = document.createElement("div");
     fuelElement.innerHTML = `
-      <p>Fuel: <span id="fuel-percentage">100</span>%</p>
+      <p>Fuel: <span id="fuel-percentage">100</span>% (Δv: <span id="delta-v">0.00</span> units/s)</p>
       <div style="width: 100%; background-color: #333; height: 10px; border-radius: 5px;">
         <div id="fuel-gauge" style="width: 100%; background-color: #00ff00; height: 10px; border-radius: 5px;"></div>
       </div>
     `;
     uiElement.appendChild(fuelElement);
 
-    // Add thrust indicator
+    // Add throttle setting and the thrust it is actually producing
     const thrustElement = document.createElement("p");
-    thrustElement.innerHTML = 'Thrust: <span id="thrust-indicator">OFF</span>';
+    thrustElement.innerHTML =
+      'Throttle: <span id="throttle">0</span>% Thrust: <span id="thrust-indicator">0.00</span>';
     uiElement.appendChild(thrustElement);
 
+    // Add attitude readout
+    const attitudeElement = document.createElement("p");
+    attitudeElement.innerHTML =
+      'Pitch: <span id="attitude-pitch">90.0</span>° Heading: <span id="attitude-heading">0.0</span>°';
+    uiElement.appendChild(attitudeElement);
+
     // Add status element
     const statusElement = document.createElement("p");
     statusElement.innerHTML =
@@ -69,8 +118,15 @@ export function updateUI(
     orbitInfoElement.style.display = "none";
     orbitInfoElement.innerHTML = `
       <p>Orbit Parameters:</p>
-      <p>Apoapsis: <span id="apoapsis">0</span> units</p>
-      <p>Periapsis: <span id="periapsis">0</span> units</p>
+      <p>Apoapsis: <span id="apoapsis">0</span> units (in <span id="time-to-apoapsis">N/A</span>)</p>
+      <p>Periapsis: <span id="periapsis">0</span> units (in <span id="time-to-periapsis">N/A</span>)</p>
+      <p>Semi-major Axis: <span id="semi-major-axis">0</span> units</p>
+      <p>Eccentricity: <span id="eccentricity">0</span></p>
+      <p>Inclination: <span id="inclination">0</span>°</p>
+      <p>Asc. Node: <span id="longitude-of-ascending-node">0</span>°</p>
+      <p>Arg. of Periapsis: <span id="argument-of-periapsis">0</span>°</p>
+      <p>True Anomaly: <span id="true-anomaly">0</span>°</p>
+      <p>Period: <span id="orbit-period">N/A</span></p>
     `;
     uiElement.appendChild(orbitInfoElement);
 
@@ -81,9 +137,9 @@ export function updateUI(
     debugElement.style.opacity = "0.7";
     debugElement.style.marginTop = "10px";
     debugElement.innerHTML = `
-      <p>Gravity: Increased for more realistic liftoff challenge</p>
+      <p>Gravity: Inverse-square from each body's gravitational parameter</p>
       <p>Drag: Minimal to help achieve orbit</p>
-      <p>Speed Controls: Press 1, 2, or 3 to change simulation speed</p>
+      <p>Speed Controls: Press 1 to 6 to change simulation speed</p>
     `;
     uiElement.appendChild(debugElement);
   } else {
@@ -121,26 +177,6 @@ export function updateUI(
       }
     }
 
-    // Update thrust indicator
-    const thrustIndicator = document.getElementById("thrust-indicator");
-    if (thrustIndicator) {
-      // Check if up arrow is pressed (simple approximation)
-      const isThrusting =
-        document
-          .querySelector(".key:nth-child(2)")
-          .parentElement.nextElementSibling.querySelector(".key").parentElement
-          .style.color === "yellow";
-
-      if (isOutOfFuel) {
-        thrustIndicator.textContent = "NO FUEL";
-        thrustIndicator.style.color = "#ff3300";
-      } else {
-        thrustIndicator.textContent = isThrusting && !isCrashed ? "ON" : "OFF";
-        thrustIndicator.style.color =
-          isThrusting && !isCrashed ? "#00ff00" : "#ff0000";
-      }
-    }
-
     // Update orbit time display
     const orbitTimeContainer = document.getElementById("orbit-time-container");
     if (orbitTimeContainer) {
@@ -155,66 +191,408 @@ export function updateUI(
       }
     }
 
-    // Update closest body
-    if (closestBodyElement) {
-      closestBodyElement.textContent = closestBody;
+    // Update the body being orbited
+    if (orbitingBodyElement) {
+      orbitingBodyElement.textContent = orbitingBody;
     }
 
-    // Determine orbit status based on altitude and speed
+    // Show the real orbital elements whenever the rocket is flying, so
+    // burns can be planned on the way up as well as once in orbit
     const orbitInfoElement = document.getElementById("orbit-info");
+    if (orbitInfoElement) {
+      if (orbit && !isCrashed) {
+        orbitInfoElement.style.display = "block";
+        updateOrbitInfo(orbit);
+      } else {
+        orbitInfoElement.style.display = "none";
+      }
+    }
 
     // If crashed, update status
     if (isCrashed) {
       orbitStatus.textContent = "CRASHED";
       orbitStatus.style.color = "#ff0000";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
       return;
     }
 
+    // Resting on a surface
+    if (landedState) {
+      orbitStatus.textContent =
+        landedState === LANDING_STATE.SPLASHED
+          ? `Splashed down on ${orbitingBody}`
+          : `Landed on ${orbitingBody}`;
+      orbitStatus.style.color = "#00ff00";
+      return;
+    }
+
+    const trajectory = orbit ? orbit.trajectory : null;
+
     // If out of fuel but not in orbit, show warning
-    if (isOutOfFuel && altitude < 3.0) {
+    if (
+      isOutOfFuel &&
+      (trajectory === TRAJECTORY.SUBORBITAL || trajectory === TRAJECTORY.IMPACT)
+    ) {
       orbitStatus.textContent = "OUT OF FUEL";
       orbitStatus.style.color = "#ff3300";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
       return;
     }
 
-    // Adjusted orbit detection parameters for larger Earth (radius 2 instead of 1)
-    if (isInOrbit) {
-      orbitStatus.textContent = "In Stable Orbit!";
-      orbitStatus.style.color = "#00ff00";
-
-      // Show orbit parameters
-      if (orbitInfoElement) {
-        orbitInfoElement.style.display = "block";
-        // Simplified orbit parameters (in a real simulation these would be calculated properly)
-        document.getElementById("apoapsis").textContent = (
-          altitude + 0.2
-        ).toFixed(2);
-        document.getElementById("periapsis").textContent = (
-          altitude - 0.2
-        ).toFixed(2);
-      }
-    } else if (altitude > 3.0 && speed >= 0.9) {
-      orbitStatus.textContent = "Escape Trajectory";
-      orbitStatus.style.color = "#ff9900";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
-    } else if (speed === 0) {
+    // Status comes from the classification of the rocket's actual conic
+    if (trajectory) {
+      const status = TRAJECTORY_STATUS[trajectory];
+      orbitStatus.textContent = status.text;
+      orbitStatus.style.color = status.color;
+    } else {
+      // Still on the pad, which moves with Earth's spin
       orbitStatus.textContent = "Ready to Launch";
       orbitStatus.style.color = "#ffffff";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
-    } else if (altitude < 0.1) {
-      orbitStatus.textContent = "On Launchpad";
-      orbitStatus.style.color = "#ffffff";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
-    } else if (altitude > 0) {
-      orbitStatus.textContent = "Sub-orbital";
-      orbitStatus.style.color = "#ffff00";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
-    } else {
-      orbitStatus.textContent = "Crashed";
-      orbitStatus.style.color = "#ff0000";
-      if (orbitInfoElement) orbitInfoElement.style.display = "none";
     }
   }
 }
+
+// Show the rocket's nose direction relative to the local horizon, in degrees
+export function updateAttitudeUI({ pitch, heading }) {
+  const pitchElement = document.getElementById("attitude-pitch");
+  const headingElement = document.getElementById("attitude-heading");
+  if (!pitchElement || !headingElement) return;
+
+  pitchElement.textContent = pitch.toFixed(1);
+  headingElement.textContent = heading.toFixed(1);
+}
+
+// Show the throttle setting and the actual thrust, which varies with
+// atmospheric pressure
+export function updateThrottleUI(throttle, thrust, isOutOfFuel = false) {
+  const throttleElement = document.getElementById("throttle");
+  const thrustIndicator = document.getElementById("thrust-indicator");
+  if (!throttleElement || !thrustIndicator) return;
+
+  throttleElement.textContent = Math.round(throttle * 100);
+
+  if (isOutOfFuel) {
+    thrustIndicator.textContent = "NO FUEL";
+    thrustIndicator.style.color = "#ff3300";
+  } else {
+    thrustIndicator.textContent = thrust.toFixed(2);
+    thrustIndicator.style.color = thrust > 0 ? "#00ff00" : "#ff0000";
+  }
+}
+
+// Show dynamic pressure and Mach number, with the Max-Q reached so far on
+// the way up. machNumber is null outside the atmosphere.
+export function updateAerodynamicsUI(dynamicPressure, machNumber, maxQ) {
+  let aeroElement = document.getElementById("aerodynamics-info");
+  if (!aeroElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    aeroElement = document.createElement("div");
+    aeroElement.id = "aerodynamics-info";
+    aeroElement.innerHTML = `
+      <p>Dyn. Pressure: <span id="dynamic-pressure">0.000</span> (Max-Q: <span id="max-q">N/A</span>)</p>
+      <p>Mach: <span id="mach-number">N/A</span></p>
+    `;
+    uiElement.appendChild(aeroElement);
+  }
+
+  document.getElementById("dynamic-pressure").textContent =
+    dynamicPressure.toFixed(3);
+  document.getElementById("mach-number").textContent =
+    machNumber === null ? "N/A" : machNumber.toFixed(2);
+  document.getElementById("max-q").textContent = maxQ
+    ? `${maxQ.dynamicPressure.toFixed(3)} at ${maxQ.altitude.toFixed(2)}`
+    : "N/A";
+}
+
+// Show how fast the rocket is turning, whether SAS and RCS are on, what SAS
+// is holding, and the monopropellant left for the RCS
+export function updateRotationUI(
+  angularSpeed,
+  sasEnabled,
+  sasMode,
+  rcsEnabled,
+  monopropellantPercentage
+) {
+  let rotationElement = document.getElementById("rotation-info");
+  if (!rotationElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    rotationElement = document.createElement("div");
+    rotationElement.id = "rotation-info";
+    rotationElement.innerHTML = `
+      <p>Rotation: <span id="angular-speed">0.00</span> rad/s</p>
+      <p>SAS: <span id="sas-status">OFF</span> RCS: <span id="rcs-status">OFF</span> (Mono: <span id="monopropellant">100</span>%)</p>
+    `;
+    uiElement.appendChild(rotationElement);
+  }
+
+  document.getElementById("angular-speed").textContent =
+    angularSpeed.toFixed(2);
+
+  const sasStatus = document.getElementById("sas-status");
+  sasStatus.textContent = sasEnabled
+    ? `ON (${SAS_MODE_LABELS[sasMode]})`
+    : "OFF";
+  sasStatus.style.color = sasEnabled ? "#00ff00" : "#ffffff";
+
+  const rcsStatus = document.getElementById("rcs-status");
+  rcsStatus.textContent = rcsEnabled ? "ON" : "OFF";
+  rcsStatus.style.color = rcsEnabled ? "#00ff00" : "#ffffff";
+
+  document.getElementById("monopropellant").textContent = Math.round(
+    monopropellantPercentage
+  );
+}
+
+// Show the skin temperature against the vessel's limit as a gauge
+export function updateTemperatureUI(temperature, maxTemperature) {
+  let temperatureElement = document.getElementById("temperature-info");
+  if (!temperatureElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    temperatureElement = document.createElement("div");
+    temperatureElement.id = "temperature-info";
+    temperatureElement.innerHTML = `
+      <p>Skin Temp: <span id="temperature">0</span> / <span id="max-temperature">0</span></p>
+      <div style="width: 100%; background-color: #333; height: 10px; border-radius: 5px;">
+        <div id="temperature-gauge" style="width: 0%; background-color: #00ff00; height: 10px; border-radius: 5px;"></div>
+      </div>
+    `;
+    uiElement.appendChild(temperatureElement);
+  }
+
+  document.getElementById("temperature").textContent = Math.round(temperature);
+  document.getElementById("max-temperature").textContent = maxTemperature;
+
+  const fraction = Math.min(1, Math.max(0, temperature / maxTemperature));
+  const gauge = document.getElementById("temperature-gauge");
+  gauge.style.width = `${fraction * 100}%`;
+
+  // Change color as the limit approaches
+  if (fraction < 0.5) {
+    gauge.style.backgroundColor = "#00ff00"; // Green
+  } else if (fraction < 0.8) {
+    gauge.style.backgroundColor = "#ffcc00"; // Yellow
+  } else {
+    gauge.style.backgroundColor = "#ff3300"; // Red
+  }
+}
+
+// Show the delta-v left in the tanks next to the fuel gauge
+export function updateDeltaVUI(deltaV) {
+  const deltaVElement = document.getElementById("delta-v");
+  if (deltaVElement) {
+    deltaVElement.textContent = deltaV.toFixed(2);
+  }
+}
+
+// List the remaining stages, top first, with each one's fuel and delta-v.
+// stages is bottom (active) first, as the rocket stores them.
+export function updateStagesUI(stages, stageDeltaV) {
+  let stagesElement = document.getElementById("stages-info");
+  if (!stagesElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    stagesElement = document.createElement("div");
+    stagesElement.id = "stages-info";
+    uiElement.appendChild(stagesElement);
+  }
+
+  let content = "<p>Stages (Space to separate):</p>";
+  for (let i = stages.length - 1; i >= 0; i--) {
+    const stage = stages[i];
+    const marker = i === 0 ? "▶" : "&nbsp;&nbsp;";
+    const color = i === 0 ? "#ffffff" : "#aaaaaa";
+    content += `<p style="color: ${color};">${marker} ${i + 1}. ${
+      stage.name
+    }: ${Math.round(stage.getFuelPercentage())}% (Δv ${stageDeltaV[i].toFixed(
+      2
+    )})</p>`;
+  }
+  stagesElement.innerHTML = content;
+}
+
+// Show the planned burn: its delta-v and duration, the time to the node and
+// the countdown to starting the burn, the closest approach for a planned
+// transfer, then a bar of the delta-v left while it runs. Hidden with no
+// node.
+export function updateManeuverUI(maneuver) {
+  let maneuverElement = document.getElementById("maneuver-info");
+  if (!maneuverElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    maneuverElement = document.createElement("div");
+    maneuverElement.id = "maneuver-info";
+    maneuverElement.innerHTML = `
+      <p>Maneuver Δv: <span id="maneuver-delta-v">0.00</span> (Burn: <span id="maneuver-burn-time">N/A</span>)</p>
+      <p>Node in: <span id="maneuver-time-to-node">N/A</span> Start burn: <span id="maneuver-countdown">N/A</span></p>
+      <p id="maneuver-closest-approach" style="display: none;"></p>
+      <div style="width: 100%; background-color: #333; height: 10px; border-radius: 5px;">
+        <div id="maneuver-remaining" style="width: 100%; background-color: #ffdd00; height: 10px; border-radius: 5px;"></div>
+      </div>
+    `;
+    uiElement.appendChild(maneuverElement);
+  }
+
+  if (!maneuver) {
+    maneuverElement.style.display = "none";
+    return;
+  }
+  maneuverElement.style.display = "block";
+
+  const {
+    deltaV,
+    remainingDeltaV,
+    burnTime,
+    timeToNode,
+    timeToBurn,
+    closestApproach,
+  } = maneuver;
+  document.getElementById("maneuver-delta-v").textContent =
+    remainingDeltaV.toFixed(2);
+  document.getElementById("maneuver-burn-time").textContent =
+    burnTime === null ? "N/A" : formatDuration(burnTime);
+  document.getElementById("maneuver-time-to-node").textContent =
+    timeToNode > 0 ? `T-${formatDuration(timeToNode)}` : "passed";
+
+  // No countdown while the active stage can't fire
+  const countdown = document.getElementById("maneuver-countdown");
+  if (timeToBurn === null) {
+    countdown.textContent = "NO THRUST";
+    countdown.style.color = "#ff3300";
+  } else {
+    countdown.textContent =
+      timeToBurn > 0 ? formatDuration(timeToBurn) : "BURN NOW";
+    countdown.style.color = timeToBurn > 0 ? "#ffffff" : "#ffdd00";
+  }
+
+  // How close a planned transfer passes its target, and when
+  const approach = document.getElementById("maneuver-closest-approach");
+  approach.style.display = closestApproach ? "block" : "none";
+  if (closestApproach) {
+    approach.textContent = `Closest to ${
+      closestApproach.body
+    }: ${closestApproach.altitude.toFixed(2)} in ${formatDuration(
+      closestApproach.time
+    )}`;
+  }
+
+  const fraction = deltaV > 0 ? Math.min(1, remainingDeltaV / deltaV) : 0;
+  document.getElementById("maneuver-remaining").style.width = `${
+    fraction * 100
+  }%`;
+}
+
+// Show the target: how far it is, its speed relative to the rocket and how
+// fast they are closing, the closest approach over the coming orbit, and
+// for a rocket how the docking ports line up (green once they would lock).
+// Hidden with no target.
+export function updateTargetUI(target) {
+  let targetElement = document.getElementById("target-info");
+  if (!targetElement) {
+    const uiElement = document.getElementById("ui");
+    if (!uiElement) return;
+
+    targetElement = document.createElement("div");
+    targetElement.id = "target-info";
+    targetElement.innerHTML = `
+      <p>Target: <span id="target-name">None</span></p>
+      <p>Distance: <span id="target-distance">0.000</span> Rel. speed: <span id="target-relative-speed">0.000</span> (closing <span id="target-closing-speed">0.000</span>)</p>
+      <p>Closest approach: <span id="target-closest-approach">N/A</span></p>
+      <p id="target-docking" style="display: none;"></p>
+    `;
+    uiElement.appendChild(targetElement);
+  }
+
+  if (!target) {
+    targetElement.style.display = "none";
+    return;
+  }
+  targetElement.style.display = "block";
+
+  const { name, distance, relativeSpeed, closingSpeed, closestApproach } =
+    target;
+  document.getElementById("target-name").textContent = name;
+  document.getElementById("target-distance").textContent = distance.toFixed(3);
+  document.getElementById("target-relative-speed").textContent =
+    relativeSpeed.toFixed(3);
+  document.getElementById("target-closing-speed").textContent =
+    closingSpeed.toFixed(3);
+  document.getElementById("target-closest-approach").textContent =
+    closestApproach
+      ? `${closestApproach.distance.toFixed(3)} in ${formatDuration(
+          closestApproach.time
+        )} (rel. speed ${closestApproach.relativeSpeed.toFixed(3)})`
+      : "N/A";
+
+  const docking = document.getElementById("target-docking");
+  docking.style.display = target.docking ? "block" : "none";
+  if (target.docking) {
+    const { alignment, canDock } = target.docking;
+    docking.textContent = `Port: ${alignment.distance.toFixed(
+      3
+    )} away, ${alignment.angle.toFixed(0)}° off`;
+    docking.style.color = canDock ? "#00ff00" : "#ffffff";
+  }
+}
+
+// Fill in the orbit parameters panel from the rocket's Keplerian elements
+function updateOrbitInfo(orbit) {
+  const { body, elements } = orbit;
+  const toDegrees = 180 / Math.PI;
+
+  // Apoapsis and periapsis are shown as altitudes above the surface
+  document.getElementById("apoapsis").textContent = elements.isClosed
+    ? (elements.apoapsis - body.radius).toFixed(2)
+    : "∞";
+  document.getElementById("periapsis").textContent = (
+    elements.periapsis - body.radius
+  ).toFixed(2);
+  document.getElementById("time-to-apoapsis").textContent = formatDuration(
+    elements.timeToApoapsis
+  );
+  document.getElementById("time-to-periapsis").textContent = formatDuration(
+    elements.timeToPeriapsis
+  );
+  document.getElementById("semi-major-axis").textContent = elements.isClosed
+    ? elements.semiMajorAxis.toFixed(2)
+    : "∞";
+  document.getElementById("eccentricity").textContent =
+    elements.eccentricity.toFixed(3);
+  document.getElementById("inclination").textContent = (
+    elements.inclination * toDegrees
+  ).toFixed(1);
+  document.getElementById("longitude-of-ascending-node").textContent = (
+    elements.longitudeOfAscendingNode * toDegrees
+  ).toFixed(1);
+  document.getElementById("argument-of-periapsis").textContent = (
+    elements.argumentOfPeriapsis * toDegrees
+  ).toFixed(1);
+  document.getElementById("true-anomaly").textContent = (
+    elements.trueAnomaly * toDegrees
+  ).toFixed(1);
+  document.getElementById("orbit-period").textContent = formatDuration(
+    elements.period
+  );
+}
+
+// Format a duration in seconds as m:ss (or h:mm:ss for long durations)
+function formatDuration(seconds) {
+  if (seconds === null || !isFinite(seconds)) return "N/A";
+
+  const totalSeconds = Math.round(seconds);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, "0")}:${secs
+      .toString()
+      .padStart(2, "0")}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, "0")}`;
+}
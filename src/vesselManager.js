@@ -0,0 +1,150 @@
+import { Rocket } from "./rocket.js";
+import { TRAJECTORY } from "./orbitalMechanics.js";
+import { LANDING_STATE } from "./landing.js";
+
+// What a vessel is doing, for the tracking list
+export const VESSEL_SITUATION = {
+  PRELAUNCH: "prelaunch",
+  LANDED: "landed",
+  SPLASHED: "splashed",
+  FLYING: "flying", // Suborbital, or falling back
+  ORBITING: "orbiting",
+  ESCAPING: "escaping",
+  CRASHED: "crashed",
+};
+
+// Every vessel in flight: the rockets, which can be flown, and the stages
+// they drop, which fly on by themselves. One rocket is under control at a
+// time; the rest keep flying under their own physics.
+export class VesselManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.vessels = [];
+    this.activeVessel = null;
+  }
+
+  add(vessel) {
+    if (this.vessels.includes(vessel)) return;
+    this.vessels.push(vessel);
+    vessel.addToScene(this.scene);
+    if (!this.activeVessel && this.isControllable(vessel)) {
+      this.activeVessel = vessel;
+    }
+  }
+
+  remove(vessel) {
+    const index = this.vessels.indexOf(vessel);
+    if (index === -1) return;
+    this.vessels.splice(index, 1);
+    vessel.removeFromScene(this.scene);
+  }
+
+  // Remove every vessel but one, which is left under control
+  removeAllExcept(vessel) {
+    for (const other of [...this.vessels]) {
+      if (other !== vessel) this.remove(other);
+    }
+    this.activeVessel = vessel;
+  }
+
+  // Only rockets can be flown; dropped stages just coast
+  isControllable(vessel) {
+    return vessel instanceof Rocket;
+  }
+
+  getControllableVessels() {
+    return this.vessels.filter((vessel) => this.isControllable(vessel));
+  }
+
+  // The vessels not under control
+  getOtherVessels() {
+    return this.vessels.filter((vessel) => vessel !== this.activeVessel);
+  }
+
+  // Hand control to another rocket. The one left behind lets go of its
+  // rotation keys and full-thrust override, but keeps its set throttle.
+  setActiveVessel(vessel) {
+    if (!this.isControllable(vessel) || vessel === this.activeVessel) return;
+
+    const previous = this.activeVessel;
+    if (previous) {
+      previous.setRotationInput(0, 0, 0);
+      previous.setThrottleOverride(null);
+    }
+    this.activeVessel = vessel;
+  }
+
+  // The rocket step places after the active one in the list, wrapping
+  // round, or the active one if it is the only rocket
+  getNextVessel(step = 1) {
+    const rockets = this.getControllableVessels();
+    if (rockets.length === 0) return null;
+
+    const index = rockets.indexOf(this.activeVessel);
+    const count = rockets.length;
+    return rockets[(((index + step) % count) + count) % count];
+  }
+
+  // Step the physics of every vessel not under control, dock the rocket
+  // under control with any it has met, and drop stages that have hit
+  // something or left the system
+  update(deltaTime) {
+    for (const vessel of this.getOtherVessels()) {
+      vessel.update(deltaTime);
+    }
+    this.updateDocking();
+    this.removeDestroyed();
+  }
+
+  // Dock the rocket under control with a rocket whose port it has met. The
+  // rocket docked with is carried from then on, so it leaves the list. A
+  // rocket it undocked from is only caught again once they have parted.
+  updateDocking() {
+    const vessel = this.activeVessel;
+    if (!vessel) return;
+
+    for (const other of this.getControllableVessels()) {
+      if (other === vessel) continue;
+      vessel.updateDockingRelease(other);
+      if (vessel.canDockWith(other)) {
+        this.remove(other);
+        vessel.dock(other);
+        return;
+      }
+    }
+  }
+
+  // Undock the rocket vessel carries, putting it back in the list
+  undock(vessel) {
+    const released = vessel.undock();
+    if (released) this.add(released);
+    return released;
+  }
+
+  removeDestroyed() {
+    for (const vessel of [...this.vessels]) {
+      if (vessel.isDestroyed) this.remove(vessel);
+    }
+  }
+
+  // What a vessel is doing, from its landing state and the conic it is on
+  getSituation(vessel) {
+    if (vessel.isDestroyed) return VESSEL_SITUATION.CRASHED;
+
+    if (this.isControllable(vessel)) {
+      if (vessel.isCrashed()) return VESSEL_SITUATION.CRASHED;
+      if (!vessel.hasStarted) return VESSEL_SITUATION.PRELAUNCH;
+      if (vessel.landedState === LANDING_STATE.SPLASHED) {
+        return VESSEL_SITUATION.SPLASHED;
+      }
+      if (vessel.landedState === LANDING_STATE.LANDED) {
+        return VESSEL_SITUATION.LANDED;
+      }
+    }
+
+    const trajectory = vessel.getTrajectory();
+    if (trajectory === TRAJECTORY.ORBITING) return VESSEL_SITUATION.ORBITING;
+    if (trajectory === TRAJECTORY.ESCAPE) return VESSEL_SITUATION.ESCAPING;
+    return VESSEL_SITUATION.FLYING;
+  }
+}